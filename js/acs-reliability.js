@@ -0,0 +1,112 @@
+// ACS Reliability - margins of error, coefficients of variation and significance tests
+// Every ACS estimate variable has a matching margin of error: DP04_0134E -> DP04_0134M and
+// DP03_0099PE -> DP03_0099PM. Published MOEs are at the 90% confidence level, so SE = MOE / 1.645.
+//
+// Reliability follows the usual CV thresholds for ACS data: under 12% high, 12-40% medium,
+// over 40% low (use with caution). Differences use the Census Bureau's test from "Understanding
+// and Using American Community Survey Data" (ch. 7): Z = (E1 - E2) / sqrt(SE1^2 + SE2^2),
+// significant at 90% when |Z| > 1.645. For a geography inside the other (county vs. its state)
+// the test ignores the covariance, which is the Census Bureau's documented approximation.
+
+class ACSReliability {
+    constructor() {
+        this.z90 = 1.645;
+        this.cvThresholds = { high: 12, medium: 40 };
+
+        // Negative MOEs are annotation codes, not values
+        this.annotations = {
+            '-555555555': 'controlled',      // estimate is controlled; no sampling error
+            '-222222222': 'insufficient',    // too few sample observations to compute
+            '-333333333': 'open-ended',      // median falls in an open-ended interval
+            '-888888888': 'not-applicable',
+            '-999999999': 'not-available'
+        };
+    }
+
+    // 'DP04_0134E' -> 'DP04_0134M', 'DP03_0099PE' -> 'DP03_0099PM'
+    moeVariable(estimateVar) {
+        return String(estimateVar).replace(/(P?)E$/, '$1M');
+    }
+
+    // Estimate variables followed by their MOE variables, for the ?get= list
+    withMoe(estimateVars) {
+        return [...estimateVars, ...estimateVars.map(v => this.moeVariable(v))];
+    }
+
+    // Estimate from an API row; null for missing values and annotation codes
+    estimate(record, estimateVar) {
+        const n = Number(record[estimateVar]);
+        return Number.isFinite(n) && n >= 0 ? n : null;
+    }
+
+    // MOE from an API row: 0 for controlled estimates, null when not available
+    moe(record, estimateVar) {
+        const raw = record[this.moeVariable(estimateVar)];
+        const n = Number(raw);
+        if (!Number.isFinite(n)) return null;
+        if (n >= 0) return n;
+        return this.annotations[String(Math.round(n))] === 'controlled' ? 0 : null;
+    }
+
+    standardError(moe) {
+        return moe === null || moe === undefined ? null : moe / this.z90;
+    }
+
+    // Coefficient of variation in percent
+    cv(estimate, moe) {
+        if (estimate === null || moe === null || moe === undefined || !estimate) return null;
+        return this.standardError(moe) / Math.abs(estimate) * 100;
+    }
+
+    // { level: 'high' | 'medium' | 'low' | null, cv, label }
+    reliability(estimate, moe) {
+        if (moe === 0 && estimate !== null) return { level: 'high', cv: 0, label: 'Controlled (no sampling error)' };
+        const cv = this.cv(estimate, moe);
+        if (cv === null) return { level: null, cv: null, label: 'Reliability unknown (no MOE)' };
+        const level = cv < this.cvThresholds.high ? 'high' : cv <= this.cvThresholds.medium ? 'medium' : 'low';
+        const names = { high: 'High reliability', medium: 'Medium reliability', low: 'Low reliability - use with caution' };
+        return { level, cv, label: `${names[level]} (CV ${cv.toFixed(1)}%)` };
+    }
+
+    // 90% confidence interval; counts, dollars and percents cannot go below zero
+    range(estimate, moe) {
+        if (estimate === null || moe === null || moe === undefined) return null;
+        return [Math.max(0, estimate - moe), estimate + moe];
+    }
+
+    // { difference, moe, z, significant } for estimate 1 minus estimate 2, or null without both MOEs
+    compare(est1, moe1, est2, moe2) {
+        if (est1 === null || est2 === null || moe1 === null || moe2 === null || moe1 === undefined || moe2 === undefined) return null;
+        const difference = est1 - est2;
+        const se = Math.sqrt(this.standardError(moe1) ** 2 + this.standardError(moe2) ** 2);
+        const z = se ? difference / se : (difference ? Infinity : 0);
+        return {
+            difference,
+            moe: Math.sqrt(moe1 ** 2 + moe2 ** 2),
+            z,
+            significant: Math.abs(z) > this.z90
+        };
+    }
+
+    // Everything one card needs: { estimate, moe, range, reliability }
+    describe(record, estimateVar) {
+        const estimate = this.estimate(record, estimateVar);
+        const moe = this.moe(record, estimateVar);
+        return { estimate, moe, range: this.range(estimate, moe), reliability: this.reliability(estimate, moe) };
+    }
+
+    // Small badge for a reliability result (styled by .acs-rel-high / -medium / -low)
+    badgeHTML(rel) {
+        const text = { high: 'High', medium: 'Medium', low: 'Low' }[rel.level] || 'n/a';
+        return `<span class="acs-rel acs-rel-${rel.level || 'unknown'}" title="${rel.label}">${text}</span>`;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.ACSReliability = new ACSReliability();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ACSReliability };
+}
@@ -33,13 +33,21 @@ class DataAPIIntegrations {
             }
         };
         
-        this.cache = new Map();
+        this.cacheSchemaVersion = 1;
+
+        // Shares the persistent store with LIHTCDataService (js/data-cache.js)
+        this.cache = (window.LIHTCDataCache || new PersistentDataCache())
+            .namespace({ schemaVersion: this.cacheSchemaVersion });
     }
 
     // HUD AMI Data for Colorado Counties
+    // Income limits come from the MTSP snapshot via HUDIncomeLimits (js/hud-income-limits.js).
+    // Returns { '1person': { '20': ..., '80': ..., '100': ... }, ... } for one county,
+    // or an object keyed by lowercase county name for 'all'.
     async fetchHUDAMI(county, year = 2025) {
         const cacheKey = `hud_ami_${county}_${year}`;
-        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+        const cached = await this.cache.get(cacheKey);
+        if (cached) return cached;
         
         try {
             // HUD API endpoint (requires token)
@@ -47,24 +55,36 @@ class DataAPIIntegrations {
             // const response = await fetch(`${this.apis.hud.baseUrl}/ami/${year}/${county}`, {
             //     headers: { 'Authorization': `Bearer ${this.apis.hud.token}` }
             // });
-            
-            // Sample data structure for demonstration
-            const data = {
-                denver: {
-                    '1person': { '30': 26100, '50': 43450, '60': 52140, '80': 66300, '100': 86870 },
-                    '4person': { '30': 37350, '50': 62050, '60': 74460, '80': 94650, '100': 124100 }
-                },
-                mesa: { // Grand Junction (Western Slope)
-                    '1person': { '30': 19200, '50': 32000, '60': 38400, '80': 48800, '100': 64000 },
-                    '4person': { '30': 27450, '50': 45750, '60': 54900, '80': 69750, '100': 91500 }
-                },
-                eagle: { // Vail area
-                    '1person': { '30': 29400, '50': 49000, '60': 58800, '80': 74700, '100': 98000 },
-                    '4person': { '30': 42000, '50': 70000, '60': 84000, '80': 106700, '100': 140000 }
-                }
+            const engine = window.HUDIncomeLimits;
+            if (!engine) throw new Error('HUDIncomeLimits (js/hud-income-limits.js) not loaded');
+            await engine.ensureLoaded();
+
+            const byPerson = (area) => {
+                const table = engine.getIncomeLimits(area);
+                const out = {};
+                engine.householdSizes.forEach((size, i) => {
+                    const row = {};
+                    Object.keys(table.limits).forEach(pct => { row[pct] = table.limits[pct][i]; });
+                    row['100'] = area.lim50[i] * 2;
+                    out[`${size}person`] = row;
+                });
+                return out;
             };
+
+            let data;
+            if (county === 'all') {
+                data = {};
+                engine.areas.forEach(area => {
+                    const key = (area.county || area.fips).toLowerCase().replace(/\s+county$/, '');
+                    data[key] = byPerson(area);
+                });
+            } else {
+                const area = engine.findArea(county);
+                if (!area) throw new Error(`No MTSP income limits for ${county}`);
+                data = byPerson(area);
+            }
             
-            this.cache.set(cacheKey, data);
+            this.cache.set(cacheKey, data, engine.loadedFrom);
             return data;
             
         } catch (error) {
@@ -76,7 +96,8 @@ class DataAPIIntegrations {
     // FRED Economic Data
     async fetchFREDSeries(seriesId, startDate = '2020-01-01') {
         const cacheKey = `fred_${seriesId}`;
-        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+        const cached = await this.cache.get(cacheKey);
+        if (cached) return cached;
         
         try {
             // Real implementation:
@@ -105,7 +126,7 @@ class DataAPIIntegrations {
             };
             
             const data = datasets[seriesId] || [];
-            this.cache.set(cacheKey, data);
+            this.cache.set(cacheKey, data, `${this.apis.fred.baseUrl}/series/observations?series_id=${seriesId}`);
             return data;
             
         } catch (error) {
@@ -117,7 +138,8 @@ class DataAPIIntegrations {
     // Census Bureau ACS Data
     async fetchCensusACS(variables, geoLevel = 'county', state = '08') {
         const cacheKey = `census_${variables.join('_')}_${geoLevel}`;
-        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+        const cached = await this.cache.get(cacheKey);
+        if (cached) return cached;
         
         try {
             // Real implementation:
@@ -145,7 +167,7 @@ class DataAPIIntegrations {
                 }
             };
             
-            this.cache.set(cacheKey, data);
+            this.cache.set(cacheKey, data, `${this.apis.census.baseUrl}/2022/acs/acs5`);
             return data;
             
         } catch (error) {
@@ -157,7 +179,8 @@ class DataAPIIntegrations {
     // Colorado State Demography Office Data
     async fetchColoradoDemography(metric = 'migration') {
         const cacheKey = `co_demo_${metric}`;
-        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+        const cached = await this.cache.get(cacheKey);
+        if (cached) return cached;
         
         try {
             // Colorado SDO provides custom datasets
@@ -193,7 +216,8 @@ class DataAPIIntegrations {
     // HUD LIHTC Database
     async fetchLIHTCProjects(state = 'CO', filters = {}) {
         const cacheKey = `lihtc_${state}_${JSON.stringify(filters)}`;
-        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+        const cached = await this.cache.get(cacheKey);
+        if (cached) return cached;
         
         try {
             // HUD provides downloadable datasets
@@ -0,0 +1,183 @@
+/**
+ * bond-feasibility-panel.js — CRA Expansion Analysis 4% bond test panel
+ * Binds the #bondFeasibility form to BondFeasibilityAnalyzer: an editable
+ * deal pipeline, volume cap and pricing inputs, and a side-by-side
+ * comparison of the 50% and 25% bond financing tests.
+ */
+(function () {
+  'use strict';
+
+  function $id(id) { return document.getElementById(id); }
+
+  const money = (n) => (Number.isFinite(n) ? '$' + Math.round(n).toLocaleString() : '—');
+  const millions = (n) => (Number.isFinite(n) ? '$' + (n / 1e6).toFixed(1) + 'M' : '—');
+
+  // Illustrative Colorado pipeline (edit in the table)
+  const SAMPLE_PIPELINE = [
+    { name: 'Federal Blvd Family', units: 120, land: 4500000, depreciableBasis: 38000000, ineligibleCosts: 1800000, boost: true, sources: 28000000 },
+    { name: 'Colfax Senior', units: 90, land: 3000000, depreciableBasis: 27000000, ineligibleCosts: 1200000, boost: false, sources: 22250000 },
+    { name: 'Aurora Station', units: 150, land: 5200000, depreciableBasis: 46000000, ineligibleCosts: 2200000, boost: true, sources: 33650000 },
+    { name: 'Fort Collins Commons', units: 80, land: 2600000, depreciableBasis: 24500000, ineligibleCosts: 1000000, boost: false, sources: 20100000 },
+    { name: 'Pueblo Mesa Rehab', units: 64, land: 900000, depreciableBasis: 14000000, ineligibleCosts: 600000, boost: true, sources: 9300000 }
+  ];
+
+  const FIELDS = [
+    { key: 'units', width: '4rem' },
+    { key: 'land', width: '7rem' },
+    { key: 'depreciableBasis', width: '7.5rem' },
+    { key: 'ineligibleCosts', width: '7rem' }
+  ];
+
+  const STATUS = {
+    feasible: { label: 'Feasible', color: 'var(--color-success)' },
+    'no cap': { label: 'No volume cap', color: 'var(--color-warning)' },
+    gap: { label: 'Funding gap', color: 'var(--color-error)' }
+  };
+
+  function num(value) {
+    const v = Number(String(value).replace(/[$,\s]/g, ''));
+    return Number.isFinite(v) ? v : 0;
+  }
+
+  function textInput(value, width, name) {
+    const el = document.createElement('input');
+    el.type = 'text';
+    el.value = value;
+    el.style.width = width;
+    el.dataset.field = name;
+    if (name !== 'name') el.inputMode = 'decimal';
+    return el;
+  }
+
+  function addDealRow(deal) {
+    const tr = document.createElement('tr');
+    const cell = (el) => { const td = document.createElement('td'); td.appendChild(el); tr.appendChild(td); };
+
+    cell(textInput(deal.name || '', '11rem', 'name'));
+    FIELDS.forEach(f => cell(textInput(deal[f.key] || 0, f.width, f.key)));
+
+    const boost = document.createElement('input');
+    boost.type = 'checkbox';
+    boost.checked = !!deal.boost;
+    boost.dataset.field = 'boost';
+    boost.setAttribute('aria-label', 'Site in a QCT or DDA');
+    cell(boost);
+
+    cell(textInput(deal.sources || 0, '7.5rem', 'sources'));
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => { tr.remove(); update(); });
+    cell(remove);
+
+    $id('bondPipeline').appendChild(tr);
+  }
+
+  function readPipeline() {
+    return Array.from($id('bondPipeline').rows).map(tr => {
+      const value = (name) => tr.querySelector(`[data-field="${name}"]`);
+      return {
+        name: value('name').value.trim(),
+        units: num(value('units').value),
+        land: num(value('land').value),
+        depreciableBasis: num(value('depreciableBasis').value),
+        ineligibleCosts: num(value('ineligibleCosts').value),
+        qct: value('boost').checked,
+        sources: { permanentLoan: num(value('sources').value) }
+      };
+    });
+  }
+
+  function render(result) {
+    const keys = Object.keys(result.scenarios);
+    const head = document.createElement('tr');
+    ['Deal', ...keys.flatMap(k => [`Bonds @ ${k}`, `Equity @ ${k}`, `Gap @ ${k}`, `Status @ ${k}`])].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    $id('bondResultsHead').replaceChildren(head);
+
+    const body = $id('bondResults');
+    body.replaceChildren();
+    result.scenarios[keys[0]].deals.forEach((_, i) => {
+      const tr = document.createElement('tr');
+      const td = (text, color) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (color) { cell.style.color = color; cell.style.fontWeight = '600'; }
+        tr.appendChild(cell);
+      };
+      td(result.scenarios[keys[0]].deals[i].name);
+      keys.forEach(k => {
+        const d = result.scenarios[k].deals[i];
+        td(millions(d.bonds));
+        td(millions(d.equity));
+        td(d.gap > 0 ? money(d.gap) : '—');
+        td(STATUS[d.status].label, STATUS[d.status].color);
+      });
+      body.appendChild(tr);
+    });
+
+    const total = document.createElement('tr');
+    const first = document.createElement('td');
+    first.innerHTML = '<strong>Pipeline</strong>';
+    total.appendChild(first);
+    keys.forEach(k => {
+      const s = result.scenarios[k];
+      const cell = document.createElement('td');
+      cell.colSpan = 4;
+      cell.innerHTML = `<strong>${s.feasibleCount} deals · ${s.units.toLocaleString()} units</strong> — ` +
+        `${millions(s.capUsed)} of ${millions(result.volumeCap)} cap used, ${millions(s.equity)} equity`;
+      total.appendChild(cell);
+    });
+    body.appendChild(total);
+
+    const flips = $id('bondFlips');
+    if (flips) {
+      flips.textContent = result.flips.length
+        ? `Flip to feasible under the ${result.flips[0].to} test: ` +
+          result.flips.map(f => `${f.name} (was ${STATUS[f.previousStatus].label.toLowerCase()})`).join(', ') + '.'
+        : 'No pipeline deal changes status between the two tests.';
+    }
+  }
+
+  function update() {
+    const analyzer = window.BondFeasibilityAnalyzer;
+    if (!analyzer || !$id('bondPipeline')) return;
+
+    try {
+      render(analyzer.compareThresholds(readPipeline(), {
+        volumeCap: num($id('bondVolumeCap')?.value),
+        price: num($id('bondPrice')?.value) || null,
+        cushion: num($id('bondCushion')?.value) / 100,
+        issuanceCostRate: num($id('bondIssuance')?.value) / 100
+      }));
+    } catch (error) {
+      console.error('Bond feasibility analysis failed:', error);
+    }
+  }
+
+  function init() {
+    const form = $id('bondFeasibility');
+    if (!form) return;
+
+    SAMPLE_PIPELINE.forEach(addDealRow);
+    form.addEventListener('input', update);
+    form.addEventListener('change', update);
+    form.addEventListener('submit', (e) => { e.preventDefault(); update(); });
+    $id('bondAddDeal')?.addEventListener('click', () => {
+      addDealRow({ name: `Deal ${$id('bondPipeline').rows.length + 1}` });
+      update();
+    });
+    update();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,149 @@
+// 4% Bond Financing Test - Feasibility Module
+// A 4% deal earns credits without a state allocation only if tax-exempt private activity bonds
+// finance at least the threshold share of aggregate basis (land + depreciable basis), IRC §42(h)(4)(B).
+// The threshold is 50%; the 2025 reconciliation act lowered it to 25% for buildings placed in
+// service after 2025 that are financed by bonds issued after 2025.
+// Bonds draw on the state's private activity bond volume cap (IRC §146).
+
+class BondFeasibilityAnalyzer {
+    constructor(calculator) {
+        this.calculator = calculator || (typeof window !== 'undefined' ? window.LIHTCDealCalculator : null);
+
+        this.thresholds = {
+            '50%': 0.50,
+            '25%': 0.25
+        };
+
+        // Bonds are usually sized a few points above the test to absorb basis creep at placed-in-service
+        this.defaultCushion = 0.02;
+
+        // Costs of issuance (underwriter, bond counsel, issuer fee) as a share of the bond amount;
+        // they are not basis-eligible
+        this.defaultIssuanceCostRate = 0.02;
+    }
+
+    // Land plus depreciable basis. Depreciable basis defaults to the §42 eligible basis cost lines.
+    aggregateBasis(deal) {
+        const costs = deal.costs || {};
+        const amount = (v) => Math.max(0, Number(v) || 0);
+        const depreciable = deal.depreciableBasis !== undefined
+            ? amount(deal.depreciableBasis)
+            : amount(costs.buildingAcquisition) + amount(costs.construction) + amount(costs.eligibleSoftCosts) + amount(costs.developerFee);
+        const land = deal.land !== undefined ? amount(deal.land) : amount(costs.land);
+
+        return { land, depreciable, total: land + depreciable };
+    }
+
+    bondsRequired(deal, threshold, cushion = this.defaultCushion) {
+        return Math.ceil(Math.round(this.aggregateBasis(deal).total * (threshold + cushion) * 100) / 100);
+    }
+
+    // Size one deal as a 4% bond deal under a single threshold.
+    // deal: { name, units, land, depreciableBasis, ineligibleCosts, qct, dda, sources, maxGap } or
+    // a LIHTCDealCalculator input object (costs, units, sources, ...)
+    evaluateDeal(deal, threshold, options = {}) {
+        if (!this.calculator) throw new Error('LIHTCDealCalculator (js/lihtc-deal-calculator.js) not loaded');
+
+        const cushion = options.cushion !== undefined ? options.cushion : this.defaultCushion;
+        const issuanceRate = options.issuanceCostRate !== undefined ? options.issuanceCostRate : this.defaultIssuanceCostRate;
+        const basis = this.aggregateBasis(deal);
+        const bonds = this.bondsRequired(deal, threshold, cushion);
+        const issuanceCosts = bonds * issuanceRate;
+
+        const costs = deal.costs
+            ? { ...deal.costs }
+            : { land: basis.land, construction: basis.depreciable, ineligibleSoftCosts: Number(deal.ineligibleCosts) || 0 };
+        costs.ineligibleSoftCosts = (Number(costs.ineligibleSoftCosts) || 0) + issuanceCosts;
+
+        const result = this.calculator.calculate({
+            ...deal,
+            creditType: '4%',
+            costs,
+            units: typeof deal.units === 'object' ? deal.units : undefined,
+            price: Number(options.price) || Number(deal.price) || null
+        });
+
+        const maxGap = Number(deal.maxGap) || 0;
+        return {
+            threshold,
+            aggregateBasis: basis.total,
+            bonds,
+            bondShare: basis.total ? bonds / basis.total : null,
+            issuanceCosts,
+            annualCredits: result.credits.annual,
+            equity: result.equity.amount,
+            totalCost: result.uses.total,
+            gap: result.gap,
+            financiallyFeasible: result.gap <= maxGap,
+            calculation: result
+        };
+    }
+
+    // Run the pipeline against each threshold. Volume cap is awarded in pipeline order
+    // (or by `priority` when present) to deals whose financing closes; a deal that closes but
+    // cannot get cap is 'no cap'. options: { volumeCap, price, cushion, issuanceCostRate, thresholds }
+    compareThresholds(pipeline, options = {}) {
+        const thresholds = options.thresholds || this.thresholds;
+        const volumeCap = Number(options.volumeCap) || 0;
+        const ordered = pipeline
+            .map((deal, index) => ({ deal, index }))
+            .sort((a, b) => (Number(a.deal.priority) || a.index + 1) - (Number(b.deal.priority) || b.index + 1));
+
+        const scenarios = {};
+        for (const [key, threshold] of Object.entries(thresholds)) {
+            let remaining = volumeCap;
+            const deals = ordered.map(({ deal, index }) => {
+                const evaluation = this.evaluateDeal(deal, threshold, options);
+                let status;
+                if (!evaluation.financiallyFeasible) {
+                    status = 'gap';
+                } else if (evaluation.bonds <= remaining) {
+                    status = 'feasible';
+                    remaining -= evaluation.bonds;
+                } else {
+                    status = 'no cap';
+                }
+                return { index, name: deal.name || `Deal ${index + 1}`, units: this.unitCount(deal), status, ...evaluation };
+            }).sort((a, b) => a.index - b.index);
+
+            const funded = deals.filter(d => d.status === 'feasible');
+            scenarios[key] = {
+                threshold,
+                deals,
+                capUsed: volumeCap - remaining,
+                capRemaining: remaining,
+                feasibleCount: funded.length,
+                units: funded.reduce((sum, d) => sum + d.units, 0),
+                equity: funded.reduce((sum, d) => sum + d.equity, 0)
+            };
+        }
+
+        // Deals that are not feasible under the first threshold but are under a later one
+        const keys = Object.keys(scenarios);
+        const flips = [];
+        for (let k = 1; k < keys.length; k++) {
+            scenarios[keys[k]].deals.forEach((d, i) => {
+                const before = scenarios[keys[0]].deals[i];
+                if (d.status === 'feasible' && before.status !== 'feasible') {
+                    flips.push({ name: d.name, from: keys[0], to: keys[k], previousStatus: before.status });
+                }
+            });
+        }
+
+        return { volumeCap, scenarios, flips };
+    }
+
+    unitCount(deal) {
+        if (deal.units && typeof deal.units === 'object') return Number(deal.units.totalUnits) || 0;
+        return Number(deal.units) || 0;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.BondFeasibilityAnalyzer = new BondFeasibilityAnalyzer();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BondFeasibilityAnalyzer };
+}
@@ -0,0 +1,164 @@
+// Statutory Housing Credit Ceiling Calculator
+// Recomputes each state's 9% ceiling under IRC §42(h)(3)(C): the greater of the per-capita amount
+// times the state's Census population estimate or the small-state minimum. Amounts are the IRS
+// inflation-adjusted figures (§42(h)(3)(H)) before any statutory increase, which is applied here.
+// Also distributes the National Pool among qualified states (§42(h)(3)(D)).
+
+class HousingCreditCeilingCalculator {
+    constructor() {
+        // IRS revenue procedure amounts, before statutory increases
+        this.irsAmounts = {
+            2015: { perCapita: 2.30, smallStateMinimum: 2680000, authority: 'Rev. Proc. 2014-61' },
+            2016: { perCapita: 2.35, smallStateMinimum: 2690000, authority: 'Rev. Proc. 2015-53' },
+            2017: { perCapita: 2.35, smallStateMinimum: 2710000, authority: 'Rev. Proc. 2016-55' },
+            2018: { perCapita: 2.40, smallStateMinimum: 2760000, authority: 'Rev. Proc. 2018-18' },
+            2019: { perCapita: 2.45, smallStateMinimum: 2815000, authority: 'Rev. Proc. 2018-57' },
+            2020: { perCapita: 2.50, smallStateMinimum: 2860000, authority: 'Rev. Proc. 2019-44' },
+            2021: { perCapita: 2.50, smallStateMinimum: 2860000, authority: 'Rev. Proc. 2020-45' },
+            2022: { perCapita: 2.60, smallStateMinimum: 3000000, authority: 'Rev. Proc. 2021-45' },
+            2023: { perCapita: 2.75, smallStateMinimum: 3185000, authority: 'Rev. Proc. 2022-38' },
+            2024: { perCapita: 2.90, smallStateMinimum: 3360000, authority: 'Rev. Proc. 2023-34' },
+            2025: { perCapita: 3.00, smallStateMinimum: 3455000, authority: 'Rev. Proc. 2024-40' },
+            2026: { perCapita: 3.05, smallStateMinimum: 3530000, authority: 'Rev. Proc. 2025-32' }
+        };
+
+        // Statutory increases applied on top of the inflation-adjusted amounts
+        this.increases = [
+            { from: 2018, through: 2021, factor: 1.125, authority: 'Consolidated Appropriations Act 2018, Div. T §103 (12.5%, temporary)' },
+            { from: 2026, through: null, factor: 1.12, authority: 'Pub. L. 119-21 (12%, permanent)' }
+        ];
+
+        // Stored values within this share of the computed ceiling are treated as matching
+        this.tolerance = 0.005;
+    }
+
+    getIncrease(year) {
+        return this.increases.find(i => year >= i.from && (i.through === null || year <= i.through)) || null;
+    }
+
+    // Effective per-capita amount and small-state minimum for a year
+    getParameters(year) {
+        year = Number(year);
+        const base = this.irsAmounts[year];
+        if (!base) return null;
+
+        const increase = this.getIncrease(year);
+        const factor = increase ? increase.factor : 1;
+        return {
+            year,
+            basePerCapita: base.perCapita,
+            baseSmallStateMinimum: base.smallStateMinimum,
+            increase: increase ? { factor, authority: increase.authority } : null,
+            perCapita: Math.round(base.perCapita * factor * 100000) / 100000,
+            smallStateMinimum: Math.round(base.smallStateMinimum * factor),
+            authority: base.authority
+        };
+    }
+
+    computeCeiling(population, year) {
+        const p = this.getParameters(year);
+        if (!p) throw new Error(`No IRS per-capita amount for ${year}`);
+        const perCapitaAmount = Math.round((Number(population) || 0) * p.perCapita);
+        return {
+            ceiling: Math.max(perCapitaAmount, p.smallStateMinimum),
+            perCapitaAmount,
+            minimumApplies: perCapitaAmount < p.smallStateMinimum
+        };
+    }
+
+    // stored: { AB: { name, value, population, status, source } }
+    // Returns one row per state with the computed ceiling and a flag:
+    //   match     - stored value within tolerance of the computed ceiling
+    //   deviation - stored value differs from the computed ceiling
+    //   estimate  - stored value is an estimate; use the computed ceiling instead
+    audit(stored, year, options = {}) {
+        const tolerance = options.tolerance !== undefined ? options.tolerance : this.tolerance;
+        const rows = Object.entries(stored).map(([abbr, s]) => {
+            const computed = this.computeCeiling(s.population, year);
+            const diff = (Number(s.value) || 0) - computed.ceiling;
+            const pct = computed.ceiling ? diff / computed.ceiling : null;
+            const estimated = s.status === 'estimated';
+
+            let flag = 'match';
+            if (estimated) flag = 'estimate';
+            else if (pct === null || Math.abs(pct) > tolerance) flag = 'deviation';
+
+            return {
+                abbr,
+                name: s.name || abbr,
+                population: s.population,
+                stored: s.value,
+                storedStatus: s.status || null,
+                storedSource: s.source || null,
+                computed: computed.ceiling,
+                minimumApplies: computed.minimumApplies,
+                diff,
+                pct,
+                flag,
+                recommended: flag === 'match' ? s.value : computed.ceiling
+            };
+        });
+
+        return {
+            year: Number(year),
+            parameters: this.getParameters(year),
+            tolerance,
+            rows,
+            deviations: rows.filter(r => r.flag === 'deviation').length,
+            estimates: rows.filter(r => r.flag === 'estimate').length
+        };
+    }
+
+    // National Pool (§42(h)(3)(D)): unused carryforward that states fail to allocate goes to a pool
+    // the IRS distributes the next year among qualified states in proportion to population. A state
+    // qualifies if it allocated its entire ceiling for the preceding year, so any carryforward into
+    // the year disqualifies it. options.qualified: array of state abbreviations to override the rule.
+    // Returns { amount, qualified: [abbr], excluded: [{ abbr, carryforward }], awards: { AB: dollars } }
+    simulateNationalPool(dataset, amount, options = {}) {
+        const states = (dataset && dataset.states) || {};
+        const pool = Math.max(0, Math.round(Number(amount) || 0));
+
+        const excluded = [];
+        const qualified = options.qualified
+            ? options.qualified.filter(abbr => states[abbr])
+            : Object.keys(states).filter(abbr => {
+                const carryforward = Number(states[abbr].carryforward) || 0;
+                if (carryforward > 0) excluded.push({ abbr, carryforward });
+                return carryforward === 0;
+            });
+
+        const totalPopulation = qualified.reduce((sum, abbr) => sum + (Number(states[abbr].population) || 0), 0);
+        const awards = {};
+        if (!pool || !totalPopulation) return { amount: pool, qualified, excluded, awards };
+
+        // Whole dollars; leftover dollars go to the largest fractional shares
+        const shares = qualified.map(abbr => {
+            const exact = pool * (Number(states[abbr].population) || 0) / totalPopulation;
+            awards[abbr] = Math.floor(exact);
+            return { abbr, remainder: exact - awards[abbr] };
+        });
+        let leftover = pool - Object.values(awards).reduce((sum, v) => sum + v, 0);
+        shares.sort((a, b) => b.remainder - a.remainder);
+        for (let i = 0; leftover > 0; i = (i + 1) % shares.length, leftover--) awards[shares[i].abbr]++;
+
+        return { amount: pool, qualified, excluded, awards };
+    }
+
+    // A StateAllocations dataset ({ states: { AB: { allocation, population, status, source } } })
+    fromDataset(dataset) {
+        const out = {};
+        for (const [abbr, s] of Object.entries((dataset && dataset.states) || {})) {
+            out[abbr] = { name: s.name, value: s.allocation, population: s.population, status: s.status, source: s.source };
+        }
+        return out;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.HousingCreditCeilingCalculator = new HousingCreditCeilingCalculator();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HousingCreditCeilingCalculator };
+}
@@ -4,28 +4,55 @@
  *  - States
  *  - Counties (within a state)
  *  - Places (within a state)
+ *  - Census tracts (within a county), with poverty and tenure added to the metrics
  *
+ * Tracts can also be opened from a map (window.CensusGeo.showTract, used by js/co-lihtc-map.js).
+ * Each figure shows its 90% margin of error and a reliability badge (js/acs-reliability.js), and is
+ * tested against the parent geography (state for counties, places and tracts; U.S. for states).
+ * Compare mode pins up to four geographies as columns, with differences from a chosen baseline;
+ * the set is kept in the URL (?compare=county:08031,state:08,us&baseline=state:08).
+ * The trend view charts every vintage in TREND_VINTAGES for one geography, with dollar figures in constant
+ * dollars (CPIAUCSL from fred-data.json) and change tests only between non-overlapping 5-year periods.
+ * Data Profile rows are renumbered between vintages, so each metric maps older vintages to their own codes.
  * Also renders a Housing Construction Activity sub-section from fred-data.json.
  *
  * Uses window.APP_CONFIG.CENSUS_API_KEY (js/config.js)
  */
 (() => {
   const KEY      = (window.APP_CONFIG && window.APP_CONFIG.CENSUS_API_KEY) ? window.APP_CONFIG.CENSUS_API_KEY : "";
-  const VINTAGES = ["2023", "2022", "2021", "2020"];
+  const VINTAGES = ["2024", "2023", "2022", "2021", "2020"];
+  /* Trend view: ten 5-year periods, so the latest has a non-overlapping period (vintage - 5) to test against */
+  const TREND_VINTAGES = ["2024", "2023", "2022", "2021", "2020", "2019", "2018", "2017", "2016", "2015"];
   const DATASET  = (v) => `https://api.census.gov/data/${v}/acs/acs5/profile`;
+  const REL      = window.ACSReliability;
 
-  /* ---- ACS metrics (shown per geography) ---- */
+  /* ---- ACS metrics (shown per geography) ----
+     key is the current code; earlier maps the last vintage a different code was used in to that code */
   const METRICS = [
     { key: "DP05_0001E",  label: "Population",              fmt: formatNumber   },
     { key: "DP03_0062E",  label: "Median household income", fmt: formatCurrency },
     { key: "DP04_0134E",  label: "Median gross rent",       fmt: formatCurrency },
     { key: "DP04_0089E",  label: "Median home value",       fmt: formatCurrency },
     { key: "DP03_0099PE", label: "Uninsured rate",          fmt: formatPct      },
-    { key: "DP02_0067PE", label: "Bachelor's degree+",      fmt: formatPct      },
+    { key: "DP02_0068PE", label: "Bachelor's degree+",      fmt: formatPct, earlier: { 2018: "DP02_0067PE" } },
     { key: "DP03_0009PE", label: "Unemployment rate",       fmt: formatPct      },
     { key: "DP04_0003PE", label: "Vacancy rate",            fmt: formatPct      },
   ];
 
+  /* ---- Added at tract level, where siting decisions are made (median gross rent is in METRICS) ---- */
+  const TRACT_METRICS = [
+    { key: "DP03_0128PE", label: "Poverty rate",            fmt: formatPct      },
+    { key: "DP04_0047PE", label: "Renter-occupied share",   fmt: formatPct      },
+  ];
+
+  function metricsFor(geography) { return geography === "tract" ? [...METRICS, ...TRACT_METRICS] : METRICS; }
+
+  /* The metric's variable code in an ACS vintage: the earlier code for the first cutoff at or after it, else key */
+  function codeFor(m, vintage) {
+    const cutoff = Object.keys(m.earlier || {}).map(Number).sort((a, b) => a - b).find(y => Number(vintage) <= y);
+    return cutoff === undefined ? m.key : m.earlier[cutoff];
+  }
+
   /* ---- Housing construction metrics (national, from FRED cache) ---- */
   const CONSTRUCTION_METRICS = [
     {
@@ -85,19 +112,33 @@
   function apiKey() { return KEY ? `&key=${encodeURIComponent(KEY)}` : ""; }
 
   function buildUrl(vintage, geography, params) {
-    const vars = ["NAME", ...METRICS.map(m => m.key)].join(",");
+    const vars = ["NAME", ...REL.withMoe(metricsFor(geography).map(m => codeFor(m, vintage)))].join(",");
     if (geography === "national") return `${DATASET(vintage)}?get=${vars}&for=us:1${apiKey()}`;
     if (geography === "state")    return `${DATASET(vintage)}?get=${vars}&for=state:*${apiKey()}`;
     if (geography === "county")   return `${DATASET(vintage)}?get=${vars}&for=county:*&in=state:${params.state}${apiKey()}`;
     if (geography === "place")    return `${DATASET(vintage)}?get=${vars}&for=place:*&in=state:${params.state}${apiKey()}`;
+    if (geography === "tract")    return `${DATASET(vintage)}?get=${vars}&for=tract:*&in=state:${params.state}&in=county:${params.county}${apiKey()}`;
     throw new Error("Unknown geography");
   }
 
+  /* API table for one vintage, with the header renamed to each metric's current code */
+  async function fetchProfile(vintage, geography, params) {
+    const data   = await fetchJson(buildUrl(vintage, geography, params));
+    const rename = {};
+    metricsFor(geography).forEach(m => {
+      const code = codeFor(m, vintage);
+      if (code === m.key) return;
+      rename[code] = m.key;
+      rename[REL.moeVariable(code)] = REL.moeVariable(m.key);
+    });
+    if (Array.isArray(data) && data.length) data[0] = data[0].map(h => rename[h] || h);
+    return data;
+  }
+
   async function getWorkingVintage(geography, params) {
     for (const v of VINTAGES) {
       try {
-        const url  = buildUrl(v, geography, params);
-        const data = await fetchJson(url);
+        const data = await fetchProfile(v, geography, params);
         if (Array.isArray(data) && data.length > 1) return { vintage: v, data };
       } catch (e) { /* try next */ }
     }
@@ -126,14 +167,23 @@
   /* ============================================================
      HOUSING CONSTRUCTION SECTION  (FRED cache, always national)
      ============================================================ */
+  let fredSeries = null;
+  function loadFred() {
+    if (!fredSeries) {
+      fredSeries = fetchJson("data/fred-data.json")
+        .then(raw => raw.series || {})
+        .catch(e => { fredSeries = null; throw e; });
+    }
+    return fredSeries;
+  }
+
   async function renderConstructionSection() {
     const section = document.getElementById("census-construction");
     if (!section) return;
 
     let fredData = null;
     try {
-      const raw = await fetchJson("data/fred-data.json");
-      fredData = raw.series || {};
+      fredData = await loadFred();
     } catch (e) {
       console.warn("[census-geo] Could not load fred-data.json:", e);
     }
@@ -193,21 +243,237 @@
   /* ============================================================
      ACS STAT CARDS
      ============================================================ */
-  function renderStats(name, record, vintage) {
+  /* Difference from another estimate with the 90% test; percent metrics differ in points */
+  function difference(m, fig, other) {
+    const cmp = REL.compare(fig.estimate, fig.moe, other.estimate, other.moe);
+    if (!cmp) return null;
+    const size  = m.fmt === formatPct ? `${Math.abs(cmp.difference).toFixed(1)} pts` : m.fmt(Math.abs(cmp.difference));
+    const arrow = cmp.difference > 0 ? "▲ " : cmp.difference < 0 ? "▼ " : "";
+    return { ...cmp, text: arrow + size, title: `Z = ${cmp.z.toFixed(2)}; significant at 90% when |Z| &gt; 1.645` };
+  }
+
+  /* "▲ $3,100 vs. Colorado" */
+  function compareHTML(m, fig, parent) {
+    if (!parent) return "";
+    const d = difference(m, fig, REL.describe(parent.record, m.key));
+    if (!d) return "";
+    const text = d.significant ? `${d.text} vs. ${parent.name}` : `Not significantly different from ${parent.name}`;
+    return `<p class="census-cmp${d.significant ? "" : " ns"}" title="${d.title}">${text}</p>`;
+  }
+
+  function renderStats(name, record, vintage, metrics = METRICS, parent = null) {
     const grid      = $(".census-grid");
     const vintageEl = document.querySelector("[data-census-vintage]");
-    if (vintageEl) vintageEl.textContent = `ACS ${vintage} 5-year (profile) • ${name}`;
+    if (vintageEl) vintageEl.textContent = `ACS ${vintage} 5-year (profile) • ${name} • ± 90% margin of error`;
 
     grid.innerHTML = "";
-    METRICS.forEach(m => {
-      const val  = Number(record[m.key]);
+    metrics.forEach(m => {
+      const fig  = REL.describe(record, m.key);
       const card = document.createElement("div");
       card.className = "card";
-      card.innerHTML = `<p class="num">${m.fmt(val)}</p><p class="lbl">${m.label}</p>`;
+      card.innerHTML = `
+        <p class="num">${m.fmt(fig.estimate === null ? NaN : fig.estimate)}</p>
+        <p class="census-moe">${fig.moe ? `±${m.fmt(fig.moe)} ` : ""}${REL.badgeHTML(fig.reliability)}</p>
+        <p class="lbl">${m.label}</p>
+        ${compareHTML(m, fig, parent)}`;
       grid.appendChild(card);
     });
   }
 
+  /* ============================================================
+     COMPARE MODE  (pinned geographies as columns)
+     ============================================================ */
+  const MAX_COMPARE = 4;
+
+  /* "us", "state:08", "county:08031", "place:0820000", "tract:08031006700" */
+  function geoKey(record) {
+    if (record.tract)  return `tract:${record.state}${record.county}${record.tract}`;
+    if (record.place)  return `place:${record.state}${record.place}`;
+    if (record.county) return `county:${record.state}${record.county}`;
+    if (record.state)  return `state:${record.state}`;
+    return "us";
+  }
+
+  /* pinned: [{ key, name, record, vintage }]. Differences are tested only within one ACS period. */
+  function renderCompare(pinned, baselineKey) {
+    const table = document.getElementById("censusCompare");
+    if (!table) return;
+    showEl("censusCompareWrap", pinned.length > 0);
+    if (!pinned.length) { table.innerHTML = ""; return; }
+
+    const base    = pinned.find(p => p.key === baselineKey) || pinned[0];
+    const metrics = pinned.some(p => p.key.startsWith("tract:")) ? metricsFor("tract") : METRICS;
+
+    const head = pinned.map(p => `
+      <th>${p.name}
+        <button type="button" class="census-unpin" data-key="${p.key}" aria-label="Remove ${p.name}" title="Remove">×</button>
+        <div class="census-moe">ACS ${p.vintage}${p === base ? " · baseline" : ""}</div></th>`).join("");
+
+    const rows = metrics.map(m => {
+      const baseFig = REL.describe(base.record, m.key);
+      const cells = pinned.map(p => {
+        const fig = REL.describe(p.record, m.key);
+        const d   = p === base ? null : difference(m, fig, baseFig);
+        let diff  = "";
+        if (d && p.vintage !== base.vintage) {
+          diff = `<p class="census-cmp ns" title="Different ACS periods; not tested">${d.text} · not tested</p>`;
+        } else if (d) {
+          diff = `<p class="census-cmp${d.significant ? "" : " ns"}" title="${d.title}">${d.significant ? d.text : `${d.text} · not significant`}</p>`;
+        }
+        return `<td>
+          <div>${m.fmt(fig.estimate === null ? NaN : fig.estimate)}</div>
+          <div class="census-moe">${fig.moe ? `±${m.fmt(fig.moe)} ` : ""}${REL.badgeHTML(fig.reliability)}</div>
+          ${diff}</td>`;
+      }).join("");
+      return `<tr><td>${m.label}</td>${cells}</tr>`;
+    }).join("");
+
+    table.innerHTML = `<thead><tr><th>Metric</th>${head}</tr></thead><tbody>${rows}</tbody>`;
+  }
+
+  /* ============================================================
+     TREND VIEW  (every vintage for one geography)
+     ============================================================ */
+  const trendCharts = [];
+
+  /* Annual average CPI-U by year, full years only. ACS dollars are in the last year of each period. */
+  async function loadAnnualCPI() {
+    const series = await loadFred();
+    const byYear = {};
+    ((series.CPIAUCSL && series.CPIAUCSL.observations) || []).forEach(o => {
+      const v = Number(o.value);
+      if (o.value === "." || !isFinite(v)) return;
+      (byYear[o.date.slice(0, 4)] = byYear[o.date.slice(0, 4)] || []).push(v);
+    });
+    return Object.fromEntries(Object.entries(byYear)
+      .filter(([, vals]) => vals.length === 12)
+      .map(([year, vals]) => [year, vals.reduce((a, b) => a + b, 0) / 12]));
+  }
+
+  function parseGeoKey(key) {
+    const [level, id = ""] = key.split(":");
+    if (level === "us")    return { geography: "national", params: {} };
+    if (level === "state") return { geography: "state", params: {} };
+    if (level === "tract") return { geography: "tract", params: { state: id.slice(0, 2), county: id.slice(2, 5) } };
+    return { geography: level, params: { state: id.slice(0, 2) } };
+  }
+
+  /* [{ vintage, record }] for every vintage that has the geography, oldest first */
+  async function loadTrend(key) {
+    const { geography, params } = parseGeoKey(key);
+    const results = await Promise.allSettled(TREND_VINTAGES.map(async v => {
+      const record = toRows(await fetchProfile(v, geography, params)).find(r => geoKey(r) === key);
+      return record ? { vintage: Number(v), record } : null;
+    }));
+    return results.filter(r => r.status === "fulfilled" && r.value).map(r => r.value).sort((a, b) => a.vintage - b.vintage);
+  }
+
+  /* One metric over time; dollar metrics scaled to `target`-year dollars when cpi covers both years */
+  function trendSeries(m, points, cpi, target) {
+    return points.map(p => {
+      const fig    = REL.describe(p.record, m.key);
+      const dollar = m.fmt === formatCurrency;
+      const factor = dollar && cpi && cpi[p.vintage] && cpi[target] ? cpi[target] / cpi[p.vintage] : 1;
+      return {
+        vintage:    p.vintage,
+        period:     `${p.vintage - 4}–${p.vintage}`,
+        estimate:   fig.estimate === null ? null : fig.estimate * factor,
+        moe:        fig.moe === null ? null : fig.moe * factor,
+        unadjusted: dollar && factor === 1 && p.vintage !== target
+      };
+    });
+  }
+
+  /* Latest period against the most recent one sharing no survey years with it (5+ vintages earlier).
+     Overlapping 5-year periods share most of their sample, so their differences are not tested. */
+  function periodChange(series) {
+    const last  = series[series.length - 1];
+    const prior = last && series.filter(p => p.vintage <= last.vintage - 5).pop();
+    if (!prior) return null;
+    return { from: prior, to: last, cmp: REL.compare(last.estimate, last.moe, prior.estimate, prior.moe) };
+  }
+
+  function renderTrend(name, points, cpi, real) {
+    const grid = document.getElementById("censusTrend");
+    const note = document.getElementById("censusTrendNote");
+    if (!grid) return;
+    showEl("censusTrendWrap", true);
+    trendCharts.splice(0).forEach(c => c.destroy());
+    grid.innerHTML = "";
+
+    if (!points.length) {
+      if (note) note.textContent = `${name}: no ACS vintages available`;
+      return;
+    }
+
+    const target  = points[points.length - 1].vintage;
+    const useCpi  = real && cpi && cpi[target] ? cpi : null;
+    const metrics = points.some(p => p.record.tract) ? metricsFor("tract") : METRICS;
+    let tested = false;
+    const unadjusted = new Set();
+
+    metrics.forEach(m => {
+      const series = trendSeries(m, points, useCpi, target);
+      if (!series.some(p => p.estimate !== null)) return;
+      series.filter(p => p.unadjusted).forEach(p => unadjusted.add(p.period));
+
+      const change = periodChange(series);
+      let changeHTML = "";
+      if (change && change.cmp) {
+        tested = true;
+        const d = difference(m, { estimate: change.to.estimate, moe: change.to.moe }, { estimate: change.from.estimate, moe: change.from.moe });
+        changeHTML = `<p class="census-cmp${d.significant ? "" : " ns"}" title="${d.title}">${change.from.period} → ${change.to.period}: ${d.text}${d.significant ? "" : " · not significant"}</p>`;
+      }
+
+      const card = document.createElement("div");
+      card.className = "card";
+      card.innerHTML = `
+        <p class="lbl">${m.label}${useCpi && m.fmt === formatCurrency ? ` (${target} $)` : ""}</p>
+        <canvas height="160" aria-label="${m.label} by ACS period"></canvas>
+        ${changeHTML}`;
+      grid.appendChild(card);
+
+      if (typeof Chart === "undefined") return;
+      const band = (sign) => series.map(p => p.estimate === null || p.moe === null ? null : Math.max(0, p.estimate + sign * p.moe));
+      trendCharts.push(new Chart(card.querySelector("canvas"), {
+        type: "line",
+        data: {
+          labels: series.map(p => p.period),
+          datasets: [
+            { label: "90% MOE", data: band(-1), borderWidth: 0, pointRadius: 0, fill: false },
+            { label: "90% MOE", data: band(1), borderWidth: 0, pointRadius: 0, fill: "-1", backgroundColor: "rgba(95,168,255,0.15)" },
+            { label: m.label, data: series.map(p => p.estimate), borderColor: "#5fa8ff", backgroundColor: "#5fa8ff", tension: 0.2 }
+          ]
+        },
+        options: {
+          responsive: true,
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              filter: (item) => item.datasetIndex === 2,
+              callbacks: { label: (c) => `${m.fmt(c.parsed.y)}${series[c.dataIndex].moe ? ` ±${m.fmt(series[c.dataIndex].moe)}` : ""}` }
+            }
+          },
+          scales: {
+            x: { ticks: { color: "#94a3b8" } },
+            y: { ticks: { color: "#94a3b8", callback: (v) => m.fmt(v) } }
+          }
+        }
+      }));
+    });
+
+    if (note) {
+      const periods = `${points[0].vintage - 4}–${points[0].vintage} to ${target - 4}–${target}`;
+      const dollars = useCpi
+        ? `Dollar figures in ${target} dollars (CPI-U, CPIAUCSL annual average)${unadjusted.size ? `; ${[...unadjusted].join(", ")} as published (no full CPI year in data/fred-data.json)` : ""}.`
+        : "Dollar figures as published (each period in its own final-year dollars).";
+      const overlap = tested
+        ? "Changes are tested only between periods that share no survey years."
+        : "All available periods overlap, so changes between them are not tested.";
+      note.textContent = `${name} • ACS 5-year ${periods} • ${dollars} ${overlap}`;
+    }
+  }
+
   /* ---- loaders ---- */
   async function loadNational() {
     const { vintage, data } = await getWorkingVintage("national", {});
@@ -238,6 +504,17 @@
     return { vintage, items };
   }
 
+  /* "Census Tract 67.01; Denver County; Colorado" (2023+) or "Census Tract 67.01, Denver County, Colorado" */
+  async function loadTracts(stateFips, countyFips) {
+    const { vintage, data } = await getWorkingVintage("tract", { state: stateFips, county: countyFips });
+    const rows  = toRows(data);
+    const items = rows.map(r => {
+      const parts = String(r.NAME).split(/\s*[;,]\s*/);
+      return { value: `${r.state}${r.county}${r.tract}`, label: parts[0], name: parts.join(", "), raw: r };
+    }).sort((a, b) => a.value.localeCompare(b.value));
+    return { vintage, items };
+  }
+
   /* ---- UI helpers ---- */
   function showEl(id, show) {
     const el = document.getElementById(id);
@@ -251,12 +528,62 @@
     const levelEl = $("#censusLevel");
     const stateEl = $("#censusState");
     const geoEl   = $("#censusGeo");
+    const countyEl = $("#censusCounty");
     const vintageEl = document.querySelector("[data-census-vintage]");
 
     if (!levelEl || !stateEl || !geoEl) return;
     if (!KEY) console.warn("[census-geo] Missing CENSUS_API_KEY — requests may be rate-limited.");
 
+    /* Parent geography for significance tests, when loaded for the same vintage */
+    function parentOf(record, vintage) {
+      if (record.county || record.place || record.tract) {
+        const st = statesInfo && statesInfo.vintage === vintage && statesInfo.rows.find(r => r.state === record.state);
+        return st ? { name: st.NAME, record: st } : null;
+      }
+      if (record.state && nationalInfo && nationalInfo.vintage === vintage) return { name: "United States", record: nationalInfo.record };
+      return null;
+    }
+    /* Compare mode state */
+    const pinEl  = $("#censusPin");
+    const baseEl = $("#censusBaseline");
+    let current  = null;   // geography on the cards: { key, name, record, vintage }
+    let pinned   = [];
+    let baseline = "";
+
+    const show = (name, record, vintage, metrics) => {
+      current = { key: geoKey(record), name, record, vintage };
+      renderStats(name, record, vintage, metrics, parentOf(record, vintage));
+      syncPinButton();
+    };
+
+    function syncPinButton() {
+      if (!pinEl) return;
+      pinEl.disabled = !current || pinned.length >= MAX_COMPARE || pinned.some(p => p.key === current.key);
+      pinEl.textContent = pinned.length >= MAX_COMPARE ? `Compare holds ${MAX_COMPARE}` : "Pin to compare";
+    }
+
+    function syncCompare() {
+      if (!pinned.some(p => p.key === baseline)) baseline = pinned.length ? pinned[0].key : "";
+      if (baseEl) {
+        fillOptions(baseEl, pinned.map(p => ({ value: p.key, label: p.name })));
+        baseEl.value = baseline;
+      }
+      syncPinButton();
+      renderCompare(pinned, baseline);
+
+      const url = new URL(window.location.href);
+      if (pinned.length) {
+        url.searchParams.set("compare", pinned.map(p => p.key).join(","));
+        url.searchParams.set("baseline", baseline);
+      } else {
+        url.searchParams.delete("compare");
+        url.searchParams.delete("baseline");
+      }
+      history.replaceState(null, "", url);
+    }
+
     showEl("censusStateWrap", false);
+    showEl("censusCountyWrap", false);
     showEl("censusGeoWrap", false);
 
     /* Always render the construction section from FRED cache */
@@ -282,7 +609,7 @@
       /* Default: national */
       if (nationalInfo) {
         levelEl.value = "national";
-        renderStats("United States", nationalInfo.record, nationalInfo.vintage);
+        show("United States", nationalInfo.record, nationalInfo.vintage);
       } else if (statesInfo) {
         levelEl.value = "state";
         showEl("censusGeoWrap", true);
@@ -291,7 +618,7 @@
           fillOptions(geoEl, statesInfo.states, "Select a state…");
           geoEl.value = co.value;
           const rec = statesInfo.rows.find(r => r.state === co.value);
-          if (rec) renderStats(rec.NAME, rec, statesInfo.vintage);
+          if (rec) show(rec.NAME, rec, statesInfo.vintage);
         }
       }
 
@@ -305,16 +632,18 @@
     async function onLevelChange() {
       const lvl = levelEl.value;
 
+      showEl("censusCountyWrap", lvl === "tract");
+
       if (lvl === "national") {
         showEl("censusStateWrap", false);
         showEl("censusGeoWrap", false);
         if (nationalInfo) {
-          renderStats("United States", nationalInfo.record, nationalInfo.vintage);
+          show("United States", nationalInfo.record, nationalInfo.vintage);
         } else {
           try {
             if (vintageEl) vintageEl.textContent = "Loading national data…";
             nationalInfo = await loadNational();
-            renderStats("United States", nationalInfo.record, nationalInfo.vintage);
+            show("United States", nationalInfo.record, nationalInfo.vintage);
           } catch (e) {
             if (vintageEl) vintageEl.textContent = "National data unavailable";
           }
@@ -338,12 +667,12 @@
         geoEl.value = "";
         geoEl.onchange = () => {
           const rec = statesInfo.rows.find(r => r.state === geoEl.value);
-          if (rec) renderStats(rec.NAME, rec, statesInfo.vintage);
+          if (rec) show(rec.NAME, rec, statesInfo.vintage);
         };
         return;
       }
 
-      /* county / place */
+      /* county / place / tract */
       showEl("censusStateWrap", true);
       showEl("censusGeoWrap", true);
       geoEl.innerHTML = `<option value="">Select a state first…</option>`;
@@ -352,6 +681,10 @@
         const st = stateEl.value;
         if (!st) return;
         try {
+          if (lvl === "tract") {
+            await fillTractCounties(st);
+            return;
+          }
           geoEl.disabled  = true;
           geoEl.innerHTML = `<option value="">Loading…</option>`;
           if (lvl === "county") {
@@ -360,7 +693,7 @@
             geoEl.disabled = false;
             geoEl.onchange = () => {
               const match = items.find(i => i.value === geoEl.value);
-              if (match) renderStats(match.label, match.raw, vintage);
+              if (match) show(match.label, match.raw, vintage);
             };
           } else {
             const { vintage, items } = await loadPlaces(st);
@@ -368,7 +701,7 @@
             geoEl.disabled = false;
             geoEl.onchange = () => {
               const match = items.find(i => i.value === geoEl.value);
-              if (match) renderStats(match.label, match.raw, vintage);
+              if (match) show(match.label, match.raw, vintage);
             };
           }
         } catch (e) {
@@ -379,7 +712,149 @@
       };
     }
 
+    /* ---- tract: state → county → tract ---- */
+    async function fillTractCounties(st) {
+      countyEl.disabled  = true;
+      countyEl.innerHTML = `<option value="">Loading…</option>`;
+      geoEl.innerHTML    = `<option value="">Select a county first…</option>`;
+      try {
+        const { items } = await loadCounties(st);
+        fillOptions(countyEl, items, "Select a county…");
+      } finally {
+        countyEl.disabled = false;
+      }
+    }
+
+    async function fillTracts(st, county) {
+      geoEl.disabled  = true;
+      geoEl.innerHTML = `<option value="">Loading…</option>`;
+      try {
+        const { vintage, items } = await loadTracts(st, county);
+        fillOptions(geoEl, items, "Select a tract…");
+        geoEl.onchange = () => {
+          const match = items.find(i => i.value === geoEl.value);
+          if (match) show(match.name, match.raw, vintage, metricsFor("tract"));
+        };
+        return items;
+      } finally {
+        geoEl.disabled = false;
+      }
+    }
+
+    if (countyEl) {
+      countyEl.onchange = async () => {
+        if (!countyEl.value) return;
+        const [st, county] = countyEl.value.split(":");
+        try {
+          await fillTracts(st, county);
+        } catch (e) {
+          console.warn("[census-geo] tract load error:", e);
+          geoEl.innerHTML = `<option value="">Unable to load</option>`;
+        }
+      };
+    }
+
+    /* Open one tract (11-digit GEOID) in the snapshot, e.g. from a map click */
+    async function showTract(geoid) {
+      geoid = String(geoid || "");
+      if (!/^\d{11}$/.test(geoid) || !countyEl) return;
+      const st = geoid.slice(0, 2);
+      const county = geoid.slice(2, 5);
+
+      levelEl.value = "tract";
+      await onLevelChange();
+      document.getElementById("census-stats")?.scrollIntoView({ behavior: "smooth", block: "start" });
+      try {
+        if (vintageEl) vintageEl.textContent = `Loading tract ${geoid}…`;
+        stateEl.value = st;
+        await fillTractCounties(st);
+        countyEl.value = `${st}:${county}`;
+        const items = await fillTracts(st, county);
+        geoEl.value = geoid;
+        if (items.some(i => i.value === geoid)) geoEl.onchange();
+        else if (vintageEl) vintageEl.textContent = `Tract ${geoid} not found in ACS`;
+      } catch (e) {
+        console.warn("[census-geo] tract snapshot:", e);
+        if (vintageEl) vintageEl.textContent = "Tract data unavailable";
+      }
+    }
+
     levelEl.addEventListener("change", onLevelChange);
+    window.CensusGeo = { showTract };
+
+    /* ---- trend view ---- */
+    const trendBtn  = $("#censusTrendBtn");
+    const realEl    = $("#censusTrendReal");
+    let lastTrend   = null;   // { name, points, cpi }
+
+    trendBtn?.addEventListener("click", async () => {
+      if (!current) return;
+      const { key, name } = current;
+      const note = document.getElementById("censusTrendNote");
+      showEl("censusTrendWrap", true);
+      if (note) note.textContent = `Loading ${name} across ACS vintages…`;
+      trendBtn.disabled = true;
+      try {
+        const [points, cpi] = await Promise.all([loadTrend(key), loadAnnualCPI().catch(() => null)]);
+        lastTrend = { name, points, cpi };
+        renderTrend(name, points, cpi, !realEl || realEl.checked);
+      } catch (e) {
+        console.warn("[census-geo] trend:", e);
+        if (note) note.textContent = "Trend data unavailable";
+      } finally {
+        trendBtn.disabled = false;
+      }
+    });
+    realEl?.addEventListener("change", () => {
+      if (lastTrend) renderTrend(lastTrend.name, lastTrend.points, lastTrend.cpi, realEl.checked);
+    });
+
+    /* ---- compare mode ---- */
+    /* One geography by compare key, using the lists already loaded where possible */
+    async function loadGeography(key) {
+      const [level, id = ""] = key.split(":");
+      const st = id.slice(0, 2);
+      if (level === "us") {
+        nationalInfo = nationalInfo || await loadNational();
+        return { key, name: "United States", record: nationalInfo.record, vintage: nationalInfo.vintage };
+      }
+      if (level === "state") {
+        statesInfo = statesInfo || await loadStates();
+        const rec = statesInfo.rows.find(r => r.state === st);
+        return rec ? { key, name: rec.NAME, record: rec, vintage: statesInfo.vintage } : null;
+      }
+      const loaded = level === "county" ? await loadCounties(st)
+        : level === "place" ? await loadPlaces(st)
+        : level === "tract" ? await loadTracts(st, id.slice(2, 5))
+        : null;
+      const match = loaded && loaded.items.find(i => geoKey(i.raw) === key);
+      return match ? { key, name: match.name || match.label, record: match.raw, vintage: loaded.vintage } : null;
+    }
+
+    pinEl?.addEventListener("click", () => {
+      if (!current || pinned.length >= MAX_COMPARE || pinned.some(p => p.key === current.key)) return;
+      pinned.push(current);
+      syncCompare();
+    });
+    baseEl?.addEventListener("change", () => { baseline = baseEl.value; syncCompare(); });
+    $("#censusCompareClear")?.addEventListener("click", () => { pinned = []; syncCompare(); });
+    $("#censusCompare")?.addEventListener("click", (e) => {
+      const btn = e.target.closest(".census-unpin");
+      if (!btn) return;
+      pinned = pinned.filter(p => p.key !== btn.dataset.key);
+      syncCompare();
+    });
+
+    /* Comparison set from a shared link */
+    const params = new URLSearchParams(window.location.search);
+    const keys   = (params.get("compare") || "").split(",").filter(Boolean).slice(0, MAX_COMPARE);
+    if (keys.length) {
+      const found = await Promise.allSettled(keys.map(loadGeography));
+      pinned   = found.filter(r => r.status === "fulfilled" && r.value).map(r => r.value);
+      baseline = params.get("baseline") || "";
+      syncCompare();
+    }
+    syncPinButton();
   }
 
   const start = () => init().catch(e => console.warn("[census-geo] fatal:", e));
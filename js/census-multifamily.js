@@ -5,6 +5,8 @@
 // - DP04_0011PE: % housing units in 5 to 9 units
 // - DP04_0012PE: % housing units in 10 to 19 units
 // - DP04_0013PE: % housing units in 20 or more units
+// Each comes with its margin of error (DP04_0001M, DP04_0011PM, ...), shown as a 90% range with a
+// reliability badge (js/acs-reliability.js).
 //
 // Sources:
 // - DP04 variables list: https://api.census.gov/data/2024/acs/acs1/profile/groups/DP04.html
@@ -22,16 +24,20 @@ const VARS = {
   pct_20p: "DP04_0013PE"
 };
 
+const REL = window.ACSReliability;
+
 let chart;
 
 function $(id){ return document.getElementById(id); }
 
 function fmtNumber(x){
+  if (x === null) return "—";
   const n = Number(x);
   if (!Number.isFinite(n)) return x;
   return n.toLocaleString();
 }
 function fmtPct(x){
+  if (x === null) return "—";
   const n = Number(x);
   if (!Number.isFinite(n)) return x;
   return `${n.toFixed(1)}%`;
@@ -73,7 +79,7 @@ async function loadPlaces(stateFips){
 }
 
 function buildAcsUrl({ level, state, local }){
-  const get = `NAME,${VARS.totalHU},${VARS.pct_5_9},${VARS.pct_10_19},${VARS.pct_20p}`;
+  const get = ["NAME", ...REL.withMoe(Object.values(VARS))].join(",");
 
   if (level === "us") {
     return `${ACS_BASE}?get=${encodeURIComponent(get)}&for=us:1`;
@@ -90,10 +96,16 @@ function buildAcsUrl({ level, state, local }){
   throw new Error("Unknown geography level");
 }
 
-function renderShareChart(name, p1, p2, p3){
+function fmtRange(fig, fmt){
+  if (!fig.range) return "—";
+  return `${fmt(fig.range[0])} – ${fmt(fig.range[1])}`;
+}
+
+// shares: [{ estimate, moe, range, reliability }] for 5–9, 10–19 and 20+ units
+function renderShareChart(name, shares){
   const ctx = $("mf-share");
   const labels = ["5–9 units", "10–19 units", "20+ units"];
-  const data = [p1, p2, p3].map(v => Number(v));
+  const data = shares.map(f => f.estimate);
 
   if (chart) chart.destroy();
   chart = new Chart(ctx, {
@@ -104,7 +116,10 @@ function renderShareChart(name, p1, p2, p3){
     },
     options: {
       responsive: true,
-      plugins: { legend: { display: true } },
+      plugins: {
+        legend: { display: true },
+        tooltip: { callbacks: { label: (c) => `${fmtPct(c.parsed.y)}${shares[c.dataIndex].moe !== null ? ` ±${fmtPct(shares[c.dataIndex].moe)}` : ""}` } }
+      },
       scales: {
         y: { beginAtZero: true, ticks: { callback: (v)=>`${v}%` } }
       }
@@ -113,11 +128,9 @@ function renderShareChart(name, p1, p2, p3){
 
   $("mf-table").innerHTML = `
     <table style="width:100%; border-collapse:collapse;">
-      <thead><tr><th align="left">Category</th><th align="left">Share</th></tr></thead>
+      <thead><tr><th align="left">Category</th><th align="left">Share</th><th align="left">90% range</th><th align="left">Reliability</th></tr></thead>
       <tbody>
-        <tr><td>5–9 units</td><td>${fmtPct(p1)}</td></tr>
-        <tr><td>10–19 units</td><td>${fmtPct(p2)}</td></tr>
-        <tr><td>20+ units</td><td>${fmtPct(p3)}</td></tr>
+        ${shares.map((f, i) => `<tr><td>${labels[i]}</td><td>${fmtPct(f.estimate)}</td><td>${fmtRange(f, fmtPct)}</td><td>${REL.badgeHTML(f.reliability)}</td></tr>`).join("")}
       </tbody>
     </table>
   `;
@@ -134,20 +147,17 @@ async function refresh(){
   const data = await fetchJson(url);
 
   const header = data[0];
-  const row = data[1];
-  const idx = Object.fromEntries(header.map((h,i)=>[h,i]));
+  const record = Object.fromEntries(header.map((h,i)=>[h, data[1][i]]));
 
-  const name = row[idx["NAME"]];
-  const totalHU = row[idx[VARS.totalHU]];
-  const p1 = row[idx[VARS.pct_5_9]];
-  const p2 = row[idx[VARS.pct_10_19]];
-  const p3 = row[idx[VARS.pct_20p]];
+  const name = record.NAME;
+  const totalHU = REL.describe(record, VARS.totalHU);
+  const shares = [VARS.pct_5_9, VARS.pct_10_19, VARS.pct_20p].map(v => REL.describe(record, v));
 
-  $("geo-note").textContent = `Selected: ${name} (ACS ${ACS_YEAR} 1-year, DP04)`;
-  $("hu").textContent = fmtNumber(totalHU);
-  $("hu-meta").textContent = "Total housing units (estimate)";
+  $("geo-note").textContent = `Selected: ${name} (ACS ${ACS_YEAR} 1-year, DP04; ranges are 90% margins of error)`;
+  $("hu").textContent = totalHU.estimate === null ? "—" : fmtNumber(totalHU.estimate);
+  $("hu-meta").innerHTML = `Total housing units (estimate)${totalHU.moe ? ` ±${fmtNumber(totalHU.moe)}` : ""} ${REL.badgeHTML(totalHU.reliability)}`;
 
-  renderShareChart(name, p1, p2, p3);
+  renderShareChart(name, shares);
 }
 
 function setGeoUi(){
@@ -1,10 +1,12 @@
 /**
  * census-stats.js
- * Pulls a few national ACS (DP) stats from the Census API and renders them as cards.
+ * Pulls a few national ACS (DP) stats from the Census API and renders them as cards,
+ * each with its 90% margin of error and a reliability badge (js/acs-reliability.js).
  * Uses APP_CONFIG.CENSUS_API_KEY from js/config.js.
  */
 (function () {
   const API_KEY = (window.APP_CONFIG && window.APP_CONFIG.CENSUS_API_KEY) ? window.APP_CONFIG.CENSUS_API_KEY : null;
+  const REL = window.ACSReliability;
 
   // ACS 5-year Data Profile (latest available in Census API; we try a few recent vintages).
   const VINTAGES = [2023, 2022, 2021, 2020];
@@ -25,7 +27,7 @@
   }
 
   async function fetchVintage(v) {
-    const vars = SERIES.map(s => s.id).join(",");
+    const vars = REL.withMoe(SERIES.map(s => s.id)).join(",");
     // National level: for=us:1
     const url = `https://api.census.gov/data/${v}/acs/acs5/profile?get=NAME,${vars}&for=us:1${API_KEY ? `&key=${encodeURIComponent(API_KEY)}` : ""}`;
     const res = await fetch(url);
@@ -44,11 +46,12 @@
 
     const grid = container.querySelector('.census-grid');
     grid.innerHTML = SERIES.map(s => {
-      const v = values[s.id];
+      const fig = REL.describe(values, s.id);
       return `
         <div class="card" style="padding:14px" data-contrast-surface>
           <div style="font-size:.78rem;color:var(--muted);font-weight:800;text-transform:uppercase;letter-spacing:.08em">${s.label}</div>
-          <div style="font-size:1.6rem;font-weight:900;margin-top:6px">${fmt(v, s.fmt)}</div>
+          <div style="font-size:1.6rem;font-weight:900;margin-top:6px">${fmt(fig.estimate === null ? NaN : fig.estimate, s.fmt)}</div>
+          <div class="census-moe">${fig.moe ? `±${fmt(fig.moe, s.fmt)} ` : ""}${REL.badgeHTML(fig.reliability)}</div>
         </div>
       `;
     }).join("");
@@ -0,0 +1,284 @@
+// Choropleth Timeline
+// Shared year-by-year animation support for the D3 state allocation maps: color bins fixed
+// across every year in the allocation store (so a color means the same amount in 2015 and 2026),
+// a play/pause stepper over the years, and export of each year's map as a standalone SVG frame.
+
+class ChoroplethTimeline {
+    constructor(store) {
+        this.store = store || (typeof window !== 'undefined' ? window.StateAllocations : null);
+
+        this.metrics = {
+            perCapita: {
+                label: 'Per-capita allocation',
+                // Statutory values bunch at each year's per-capita rate, which makes quantile breaks
+                // collapse; equal steps up to the 95th percentile keep the years distinguishable
+                method: 'equal',
+                value: (s) => Number(s.perCapita) || 0,
+                format: (v) => '$' + v.toFixed(2)
+            },
+            allocation: {
+                label: 'Total allocation (annual credits)',
+                method: 'quantile',
+                value: (s) => Number(s.allocation) || 0,
+                format: (v) => (v >= 1e6 ? '$' + (v / 1e6).toFixed(1) + 'M' : '$' + Math.round(v).toLocaleString())
+            }
+        };
+
+        // Light → dark Blues, one color per class
+        this.palette = ['#c6dbef', '#9ecae1', '#6baed6', '#3182bd', '#08519c'];
+        this.frameDelay = 900;
+        this.scales = new Map();
+    }
+
+    // Add or replace a metric: { label, method: 'quantile' | 'equal' | 'jenks', value(state) → number or null,
+    // format(number) → string }. Cached scales for it are dropped.
+    defineMetric(key, def) {
+        this.metrics[key] = def;
+        for (const cacheKey of Array.from(this.scales.keys())) {
+            if (cacheKey.startsWith(`${key}:`)) this.scales.delete(cacheKey);
+        }
+    }
+
+    // Classes over every state in every year (see classify), so bins do not move between frames.
+    // Returns { metric, years, thresholds, palette, color(value), legend: [{ color, label }] }
+    buildScale(metric = 'perCapita', options = {}) {
+        const key = `${metric}:${options.method || ''}:${options.classes || this.palette.length}`;
+        if (!options.refresh && this.scales.has(key)) return this.scales.get(key);
+
+        const def = this.metrics[metric];
+        if (!def) throw new Error(`Unknown choropleth metric: ${metric}`);
+        if (!this.store || !this.store.doc) throw new Error('State allocations not loaded');
+
+        const years = this.store.getYears();
+        const values = [];
+        years.forEach(year => {
+            Object.values(this.store.getYear(year).states).forEach(s => values.push(def.value(s)));
+        });
+
+        const scale = {
+            metric,
+            label: def.label,
+            years,
+            value: def.value,
+            ...this.makeScale(values, {
+                method: options.method || def.method,
+                classes: options.classes,
+                palette: options.palette,
+                format: def.format
+            })
+        };
+        this.scales.set(key, scale);
+        return scale;
+    }
+
+    // Class thresholds for ascending `sorted` values. Each threshold is the lower bound of the next
+    // class (classes - 1 of them).
+    //   quantile - equal counts per class
+    //   equal    - equal-width steps from the minimum to options.upper (default the maximum)
+    //   jenks    - Fisher-Jenks natural breaks, minimizing within-class variance
+    classify(sorted, method = 'quantile', classes = this.palette.length, options = {}) {
+        const n = sorted.length;
+        if (!n || classes < 2) return [];
+        const q = (p) => sorted[Math.min(n - 1, Math.floor(n * p))];
+        const thresholds = [];
+
+        if (method === 'equal') {
+            const lo = sorted[0];
+            const hi = options.upper !== undefined ? options.upper : sorted[n - 1];
+            for (let i = 1; i < classes; i++) thresholds.push(lo + (hi - lo) * i / classes);
+        } else if (method === 'jenks') {
+            if (n <= classes) return sorted.slice(1);
+            // lower[l][j]: 1-based index of the first value in class j of the best split of the first l values
+            const lower = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+            const cost = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(Infinity));
+            for (let j = 1; j <= classes; j++) { lower[1][j] = 1; cost[1][j] = 0; }
+
+            for (let l = 2; l <= n; l++) {
+                let sum = 0;
+                let sumSq = 0;
+                let ssd = 0;
+                for (let m = 1; m <= l; m++) {
+                    const first = l - m + 1;
+                    const v = sorted[first - 1];
+                    sum += v;
+                    sumSq += v * v;
+                    ssd = sumSq - (sum * sum) / m;
+                    if (first === 1) continue;
+                    for (let j = 2; j <= classes; j++) {
+                        if (cost[l][j] >= ssd + cost[first - 1][j - 1]) {
+                            lower[l][j] = first;
+                            cost[l][j] = ssd + cost[first - 1][j - 1];
+                        }
+                    }
+                }
+                lower[l][1] = 1;
+                cost[l][1] = ssd;
+            }
+
+            let k = n;
+            for (let j = classes; j >= 2; j--) {
+                const first = lower[k][j];
+                thresholds.unshift(sorted[first - 1]);
+                k = first - 1;
+            }
+        } else {
+            for (let i = 1; i < classes; i++) thresholds.push(q(i / classes));
+        }
+        return thresholds;
+    }
+
+    // Color scale over raw values (nulls and non-numbers are ignored).
+    // options: { method, classes, palette, format }. Equal-interval steps stop at the 95th
+    // percentile so one outlier does not push every other state into the first class.
+    // Returns { method, thresholds, palette, color(value), legend: [{ color, label }] }
+    makeScale(values, options = {}) {
+        const sorted = values
+            .filter(v => v !== null && v !== undefined && Number.isFinite(Number(v)))
+            .map(Number)
+            .sort((a, b) => a - b);
+        if (!sorted.length) throw new Error('No values to classify');
+
+        const palette = options.palette || this.palette.slice(0, options.classes || this.palette.length);
+        const method = options.method || 'quantile';
+        const format = options.format || ((v) => v.toLocaleString());
+        const upper = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+        const thresholds = this.classify(sorted, method, palette.length, method === 'equal' ? { upper } : {});
+
+        const color = (v) => {
+            let i = 0;
+            while (i < thresholds.length && v >= thresholds[i]) i++;
+            return palette[i];
+        };
+
+        const cuts = [sorted[0], ...thresholds, sorted[sorted.length - 1]];
+        const legend = palette.slice(0, thresholds.length + 1).map((c, i) => ({
+            color: c,
+            label: i < thresholds.length
+                ? `${format(cuts[i])} – ${format(cuts[i + 1])}`
+                : `${format(cuts[i])}+`
+        }));
+
+        return { method, thresholds, palette, color, legend };
+    }
+
+    // Stepper over the store's years. onFrame(year) is awaited before the next step is scheduled.
+    // Returns { play, pause, toggle, seek, playing(), year() }
+    createPlayer(onFrame, options = {}) {
+        const years = options.years || this.store.getYears();
+        const delay = options.delay || this.frameDelay;
+        let index = Math.max(0, years.indexOf(Number(options.start)));
+        let timer = null;
+
+        const step = async () => {
+            await onFrame(years[index]);
+            if (timer === null) return;
+            if (index >= years.length - 1) {
+                timer = null;
+                if (options.onStop) options.onStop();
+                return;
+            }
+            index++;
+            timer = setTimeout(step, delay);
+        };
+
+        const player = {
+            play() {
+                if (timer !== null) return;
+                if (index >= years.length - 1) index = 0;
+                timer = setTimeout(step, 0);
+                if (options.onPlay) options.onPlay();
+            },
+            pause() {
+                if (timer === null) return;
+                clearTimeout(timer);
+                timer = null;
+                if (options.onStop) options.onStop();
+            },
+            toggle() { return timer === null ? player.play() : player.pause(); },
+            seek(year) {
+                const i = years.indexOf(Number(year));
+                if (i >= 0) index = i;
+            },
+            playing: () => timer !== null,
+            year: () => years[index]
+        };
+        return player;
+    }
+
+    // Standalone SVG markup for one frame: a copy of the map on the site's dark background with a
+    // title and the legend drawn in (the on-page legends are HTML and would not travel with the file)
+    serializeFrame(svgNode, { title = '', subtitle = '', legend = [], background = '#1a1714', text = '#e8dcc4' } = {}) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const clone = svgNode.cloneNode(true);
+        const vb = (clone.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+        const width = vb[2] || Number(clone.getAttribute('width')) || 960;
+        const height = vb[3] || Number(clone.getAttribute('height')) || 600;
+        const header = 56;
+        const footer = 28 + legend.length * 20;
+
+        clone.setAttribute('xmlns', ns);
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height + header + footer);
+        clone.setAttribute('viewBox', `0 ${-header} ${width} ${height + header + footer}`);
+        clone.removeAttribute('style');
+
+        const el = (name, attrs, text) => {
+            const node = document.createElementNS(ns, name);
+            Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+            if (text !== undefined) node.textContent = text;
+            return node;
+        };
+
+        clone.insertBefore(el('rect', { x: 0, y: -header, width, height: height + header + footer, fill: background }), clone.firstChild);
+        clone.appendChild(el('text', { x: 16, y: -header + 26, 'font-family': 'sans-serif', 'font-size': 20, 'font-weight': 700, fill: text }, title));
+        if (subtitle) {
+            clone.appendChild(el('text', { x: 16, y: -header + 46, 'font-family': 'sans-serif', 'font-size': 12, fill: text, 'fill-opacity': 0.75 }, subtitle));
+        }
+
+        const g = el('g', { transform: `translate(16, ${height + 12})`, 'font-family': 'sans-serif', 'font-size': 12, fill: text });
+        legend.forEach((item, i) => {
+            g.appendChild(el('rect', { x: 0, y: i * 20, width: 22, height: 14, rx: 3, fill: item.color, stroke: '#999' }));
+            g.appendChild(el('text', { x: 30, y: i * 20 + 11 }, item.label));
+        });
+        clone.appendChild(g);
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+    }
+
+    // Render and download one SVG file per year. renderFrame(year) draws the map for that year and
+    // returns { svg, title, subtitle, legend }. Files are named `${prefix}-${year}.svg`.
+    async exportFrames(renderFrame, options = {}) {
+        const years = options.years || this.store.getYears();
+        const prefix = options.prefix || 'lihtc-map';
+        let count = 0;
+
+        for (const year of years) {
+            const frame = await renderFrame(year);
+            if (!frame || !frame.svg) continue;
+
+            const markup = this.serializeFrame(frame.svg, frame);
+            const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${prefix}-${year}.svg`;
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            count++;
+
+            // Browsers drop rapid back-to-back downloads
+            await new Promise(resolve => setTimeout(resolve, options.spacing || 250));
+        }
+        return count;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.ChoroplethTimeline = new ChoroplethTimeline();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChoroplethTimeline };
+}
@@ -1,7 +1,8 @@
 /**
- * co-lihtc-map.js  — Colorado Deep Dive Leaflet map
- * Zoom lock: ~50 miles (~0.75°) beyond the Colorado border.
- * Falls back to embedded data when HUD ArcGIS APIs are unreachable.
+ * co-lihtc-map.js  — statewide LIHTC Leaflet map (Colorado Deep Dive page)
+ * State from ?state= (abbreviation, FIPS or name) or the #mapState picker; Colorado by default.
+ * Zoom lock: ~50 miles (~0.75°) beyond the state border.
+ * Falls back to per-state data bundles when HUD ArcGIS APIs are unreachable.
  */
 (function () {
   'use strict';
@@ -47,10 +48,14 @@
 
   const US_STATES_TOPO   = 'https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json';
   const US_COUNTIES_TOPO = 'https://cdn.jsdelivr.net/npm/us-atlas@3/counties-10m.json';
-  const CO_PLACES_URL    = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/Places_CouSub_ConCity_SubMCD/MapServer/4';
+  const PLACES_URL       = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/Places_CouSub_ConCity_SubMCD/MapServer/4';
   const HUD_LIHTC_LAYER  = 'https://egis.hud.gov/arcgis/rest/services/affht/AffhtMapService/MapServer/30';
   const QCT_LAYER        = 'https://services.arcgis.com/VTyQ9soqVukalItT/arcgis/rest/services/Qualified_Census_Tracts_2026/FeatureServer/0';
   const DDA_LAYER        = 'https://services.arcgis.com/VTyQ9soqVukalItT/arcgis/rest/services/Difficult_Development_Areas_2026/FeatureServer/0';
+  const TRACTS_URL       = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/Tracts_Blocks/MapServer/0';
+
+  /* Expiring-projects layer: next Year 15 / Year 30 within 1, 3 or 5 years (js/preservation.js) */
+  const HORIZON_COLORS = {1:'#ef4444', 3:'#f59e0b', 5:'#facc15'};
 
   function styleState()  { return { color: 'rgba(255,255,255,0.80)', weight: 3,   fill: false }; }
   function styleCounty() { return { color: 'rgba(255,255,255,0.45)', weight: 1.2, fill: false }; }
@@ -63,6 +68,9 @@
     const yn   = v => (v===1||v==='1'||v==='Y'||v===true)
       ? '<span style="color:#34d399">Yes</span>'
       : '<span style="color:#94a3b8">No</span>';
+    // HUD DDA codes 1-4 are DDA types; YR_PIS 8888 / 9999 mean not yet placed in service / missing
+    const isDDA = v => v === true || v === 'Y' || (v !== false && Number(v) > 0);
+    const pis  = Number(p.YR_PIS) >= 1987 && Number(p.YR_PIS) < 2100 ? Number(p.YR_PIS) : null;
     const addr = [p.STD_ADDR||p.PROJ_ADD, p.STD_CITY||p.PROJ_CTY, p.STD_ST||p.PROJ_ST, p.STD_ZIP5].filter(Boolean).join(', ');
     return `<div style="min-width:240px;max-width:300px;font-size:13px;">
       <div style="font-weight:800;font-size:14px;margin-bottom:5px;line-height:1.3;">${safe(p.PROJECT||p.PROJ_NM)||'LIHTC Project'}</div>
@@ -70,10 +78,11 @@
       <table style="width:100%;border-collapse:collapse;">
         <tr><td style="padding:2px 0;opacity:.7;">Total units</td><td style="text-align:right;font-weight:700;">${safe(p.N_UNITS)}</td></tr>
         <tr><td style="padding:2px 0;opacity:.7;">Low-income units</td><td style="text-align:right;font-weight:700;">${safe(p.LI_UNITS)}</td></tr>
-        <tr><td style="padding:2px 0;opacity:.7;">Placed in service</td><td style="text-align:right;">${safe(p.YR_PIS)}</td></tr>
+        <tr><td style="padding:2px 0;opacity:.7;">Placed in service</td><td style="text-align:right;">${safe(pis)}</td></tr>
+        ${pis?`<tr><td style="padding:2px 0;opacity:.7;">Year 15 / Year 30</td><td style="text-align:right;">${pis+15} / ${pis+30}</td></tr>`:''}
         <tr><td style="padding:2px 0;opacity:.7;">Credit type</td><td style="text-align:right;">${safe(p.CREDIT)}</td></tr>
         <tr><td style="padding:2px 0;opacity:.7;">QCT</td><td style="text-align:right;">${yn(p.QCT)}</td></tr>
-        <tr><td style="padding:2px 0;opacity:.7;">DDA</td><td style="text-align:right;">${yn(p.DDA)}</td></tr>
+        <tr><td style="padding:2px 0;opacity:.7;">DDA</td><td style="text-align:right;">${yn(isDDA(p.DDA))}</td></tr>
         <tr><td style="padding:2px 0;opacity:.7;">County</td><td style="text-align:right;">${safe(p.CNTY_NAME||p.PROJ_CTY)}</td></tr>
         ${p.HUD_ID?`<tr><td style="padding:2px 0;opacity:.7;">HUD ID</td><td style="text-align:right;font-size:11px;">${safe(p.HUD_ID)}</td></tr>`:''}
       </table>
@@ -81,6 +90,60 @@
     </div>`;
   }
 
+  // Popup for a clicked site: QCT/DDA membership from the loaded polygons (js/site-eligibility.js).
+  // Approximate fallback outlines give "Unknown", and the calculator keeps its own flags for those.
+  function buildEligibilityPopup(r) {
+    const yes = '<span style="color:#34d399">Yes</span>';
+    const no  = '<span style="color:#94a3b8">No</span>';
+    const unknown = '<span style="color:#94a3b8">Unknown</span>';
+    const flag = v => v === null ? unknown : (v ? yes : no);
+    const se = window.SiteEligibility;
+    const el = document.createElement('div');
+    el.style.cssText = 'min-width:220px;max-width:300px;font-size:13px;';
+    el.innerHTML = `
+      <div style="font-weight:800;font-size:14px;margin-bottom:5px;">Site eligibility</div>
+      <div style="margin-bottom:8px;opacity:.7;font-size:11px;">${r.lat.toFixed(5)}, ${r.lng.toFixed(5)}</div>
+      <table style="width:100%;border-collapse:collapse;">
+        <tr><td style="padding:2px 0;opacity:.7;">QCT</td><td style="text-align:right;">${flag(r.qct)}</td></tr>
+        ${r.tractGeoid?`<tr><td style="padding:2px 0;opacity:.7;">Tract</td><td style="text-align:right;font-size:11px;">${r.tractGeoid}</td></tr>`:''}
+        <tr><td style="padding:2px 0;opacity:.7;">DDA</td><td style="text-align:right;">${flag(r.dda)}</td></tr>
+        ${r.ddaName?`<tr><td style="padding:2px 0;opacity:.7;">DDA</td><td style="text-align:right;">${r.ddaName}</td></tr>`:''}
+        <tr><td style="padding:2px 0;opacity:.7;">130% basis boost</td><td style="text-align:right;font-weight:700;">${flag(r.boostEligible)}</td></tr>
+      </table>
+      <div style="margin-top:8px;font-size:11px;opacity:.55;">Source: ${se.sourceSummary(r)}</div>`;
+    if (window.DealCalculatorPanel && (r.qct !== null || r.dda !== null)) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn';
+      btn.style.cssText = 'margin-top:8px;width:100%;';
+      btn.textContent = 'Use in deal calculator';
+      btn.addEventListener('click', () => window.DealCalculatorPanel.setLocation(r));
+      el.appendChild(btn);
+    }
+    return el;
+  }
+
+  // Census tract under a clicked point (TIGERweb), for the tract ACS snapshot; null when unreachable
+  async function tractAt(lat, lng) {
+    const gj = await arcgisQuery(TRACTS_URL, '1=1', 'GEOID,BASENAME', {
+      geometry: `${lng},${lat}`, geometryType: 'esriGeometryPoint', inSR: '4326',
+      spatialRel: 'esriSpatialRelIntersects', returnGeometry: 'false'
+    });
+    return gj.features.length ? gj.features[0].properties : null;
+  }
+
+  // "Tract ACS snapshot" button for the eligibility popup (js/census-geo.js)
+  function addTractSnapshotButton(el, tract) {
+    if (!window.CensusGeo || !tract || !tract.GEOID) return;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn';
+    btn.style.cssText = 'margin-top:8px;width:100%;';
+    btn.textContent = `Tract ${tract.BASENAME || tract.GEOID} ACS snapshot`;
+    btn.addEventListener('click', () => window.CensusGeo.showTract(tract.GEOID));
+    el.appendChild(btn);
+  }
+
   function addLegend(map) {
     const ctrl = L.control({ position: 'bottomright' });
     ctrl.onAdd = () => {
@@ -88,6 +151,10 @@
       div.innerHTML = `
         <div style="font-weight:800;margin-bottom:7px;font-size:13px;">Legend</div>
         <div class="row"><span class="dot" style="background:#5ec8f8;"></span><span>LIHTC project (HUD)</span></div>
+        <div class="row"><span class="dot" style="background:rgba(94,200,248,.35);border:2px solid #5ec8f8;width:14px;height:14px;"></span><span>Project cluster (count)</span></div>
+        <div class="row"><span class="dot" style="background:${HORIZON_COLORS[1]};"></span><span>Year 15/30 within 1 yr</span></div>
+        <div class="row"><span class="dot" style="background:${HORIZON_COLORS[3]};"></span><span>… within 3 yrs</span></div>
+        <div class="row"><span class="dot" style="background:${HORIZON_COLORS[5]};"></span><span>… within 5 yrs</span></div>
         <div class="row"><span class="swatch" style="background:rgba(80,220,160,.25);border-color:rgba(80,220,160,.6)"></span><span>QCT 2026</span></div>
         <div class="row"><span class="swatch" style="background:rgba(255,185,60,.22);border-color:rgba(255,185,60,.6)"></span><span>DDA 2026</span></div>
         <div class="row"><span class="dot" style="background:rgba(255,255,255,.35);border:1px solid rgba(255,255,255,.55);"></span><span>State/county boundary</span></div>
@@ -230,6 +297,257 @@
     {type:'Feature',properties:{NAME:'La Plata County DDA (Durango)',DDATYPE:'Non-Metropolitan',STATE:'CO'},geometry:{type:'Polygon',coordinates:[[[-108.12,37.06],[-107.30,37.06],[-107.30,37.58],[-108.12,37.58],[-108.12,37.06]]]}},
   ]};
 
+  /* Simplified state/county outlines used when the us-atlas TopoJSON is unreachable */
+  const FALLBACK_CO_STATE = {type:'FeatureCollection',features:[
+    {type:'Feature',id:'08',properties:{name:'Colorado'},geometry:{type:'Polygon',coordinates:[[[-109.06,41.0006],[-102.0424,41.0006],[-102.0424,36.9928],[-109.06,36.9928],[-109.06,41.0006]]]}},
+  ]};
+
+  const FALLBACK_CO_COUNTIES = {type:'FeatureCollection',features:[
+    {type:'Feature',id:'08081',properties:{name:'Moffat',fips:'08081'},geometry:{type:'Polygon',coordinates:[[[-109.06,40.222],[-107.316,40.222],[-107.316,41.0],[-109.06,41.0],[-109.06,40.222]]]}},
+    {type:'Feature',id:'08107',properties:{name:'Routt',fips:'08107'},geometry:{type:'Polygon',coordinates:[[[-107.316,40.003],[-106.637,40.003],[-106.637,41.0],[-107.316,41.0],[-107.316,40.003]]]}},
+    {type:'Feature',id:'08057',properties:{name:'Jackson',fips:'08057'},geometry:{type:'Polygon',coordinates:[[[-106.637,40.36],[-105.928,40.36],[-105.928,41.0],[-106.637,41.0],[-106.637,40.36]]]}},
+    {type:'Feature',id:'08069',properties:{name:'Larimer',fips:'08069'},geometry:{type:'Polygon',coordinates:[[[-105.928,40.259],[-104.943,40.259],[-104.943,41.0],[-105.928,41.0],[-105.928,40.259]]]}},
+    {type:'Feature',id:'08123',properties:{name:'Weld',fips:'08123'},geometry:{type:'Polygon',coordinates:[[[-104.943,39.915],[-103.574,39.915],[-103.574,41.0],[-104.943,41.0],[-104.943,39.915]]]}},
+    {type:'Feature',id:'08075',properties:{name:'Logan',fips:'08075'},geometry:{type:'Polygon',coordinates:[[[-103.574,40.349],[-102.813,40.349],[-102.813,41.0],[-103.574,41.0],[-103.574,40.349]]]}},
+    {type:'Feature',id:'08115',properties:{name:'Sedgwick',fips:'08115'},geometry:{type:'Polygon',coordinates:[[[-102.813,40.658],[-102.042,40.658],[-102.042,41.0],[-102.813,41.0],[-102.813,40.658]]]}},
+    {type:'Feature',id:'08095',properties:{name:'Phillips',fips:'08095'},geometry:{type:'Polygon',coordinates:[[[-102.813,40.259],[-102.042,40.259],[-102.042,40.658],[-102.813,40.658],[-102.813,40.259]]]}},
+    {type:'Feature',id:'08103',properties:{name:'Rio Blanco',fips:'08103'},geometry:{type:'Polygon',coordinates:[[[-109.06,39.374],[-107.316,39.374],[-107.316,40.222],[-109.06,40.222],[-109.06,39.374]]]}},
+    {type:'Feature',id:'08045',properties:{name:'Garfield',fips:'08045'},geometry:{type:'Polygon',coordinates:[[[-107.316,39.374],[-106.637,39.374],[-106.637,40.003],[-107.316,40.003],[-107.316,39.374]]]}},
+    {type:'Feature',id:'08037',properties:{name:'Eagle',fips:'08037'},geometry:{type:'Polygon',coordinates:[[[-106.637,39.374],[-106.133,39.374],[-106.133,40.003],[-106.637,40.003],[-106.637,39.374]]]}},
+    {type:'Feature',id:'08117',properties:{name:'Summit',fips:'08117'},geometry:{type:'Polygon',coordinates:[[[-106.133,39.374],[-105.558,39.374],[-105.558,40.003],[-106.133,40.003],[-106.133,39.374]]]}},
+    {type:'Feature',id:'08049',properties:{name:'Grand',fips:'08049'},geometry:{type:'Polygon',coordinates:[[[-106.637,39.915],[-105.928,39.915],[-105.928,40.36],[-106.637,40.36],[-106.637,39.915]]]}},
+    {type:'Feature',id:'08013',properties:{name:'Boulder',fips:'08013'},geometry:{type:'Polygon',coordinates:[[[-105.558,39.915],[-104.942,39.915],[-104.942,40.259],[-105.558,40.259],[-105.558,39.915]]]}},
+    {type:'Feature',id:'08014',properties:{name:'Broomfield',fips:'08014'},geometry:{type:'Polygon',coordinates:[[[-105.13,39.915],[-104.943,39.915],[-104.943,40.09],[-105.13,40.09],[-105.13,39.915]]]}},
+    {type:'Feature',id:'08001',properties:{name:'Adams',fips:'08001'},geometry:{type:'Polygon',coordinates:[[[-104.943,39.573],[-103.574,39.573],[-103.574,40.0],[-104.943,40.0],[-104.943,39.573]]]}},
+    {type:'Feature',id:'08087',properties:{name:'Morgan',fips:'08087'},geometry:{type:'Polygon',coordinates:[[[-103.574,39.915],[-103.006,39.915],[-103.006,40.349],[-103.574,40.349],[-103.574,39.915]]]}},
+    {type:'Feature',id:'08121',properties:{name:'Washington',fips:'08121'},geometry:{type:'Polygon',coordinates:[[[-103.574,39.574],[-103.006,39.574],[-103.006,39.915],[-103.574,39.915],[-103.574,39.574]]]}},
+    {type:'Feature',id:'08125',properties:{name:'Yuma',fips:'08125'},geometry:{type:'Polygon',coordinates:[[[-103.006,39.574],[-102.042,39.574],[-102.042,40.659],[-103.006,40.659],[-103.006,39.574]]]}},
+    {type:'Feature',id:'08077',properties:{name:'Mesa',fips:'08077'},geometry:{type:'Polygon',coordinates:[[[-109.06,38.499],[-107.316,38.499],[-107.316,39.374],[-109.06,39.374],[-109.06,38.499]]]}},
+    {type:'Feature',id:'08029',properties:{name:'Delta',fips:'08029'},geometry:{type:'Polygon',coordinates:[[[-107.316,38.499],[-107.008,38.499],[-107.008,39.374],[-107.316,39.374],[-107.316,38.499]]]}},
+    {type:'Feature',id:'08051',properties:{name:'Gunnison',fips:'08051'},geometry:{type:'Polygon',coordinates:[[[-107.316,38.257],[-106.263,38.257],[-106.263,38.499],[-107.316,38.499],[-107.316,38.257]]]}},
+    {type:'Feature',id:'08085',properties:{name:'Montrose',fips:'08085'},geometry:{type:'Polygon',coordinates:[[[-108.31,38.257],[-107.316,38.257],[-107.316,38.499],[-108.31,38.499],[-108.31,38.257]]]}},
+    {type:'Feature',id:'08097',properties:{name:'Pitkin',fips:'08097'},geometry:{type:'Polygon',coordinates:[[[-107.044,39.074],[-106.263,39.074],[-106.263,39.374],[-107.044,39.374],[-107.044,39.074]]]}},
+    {type:'Feature',id:'08065',properties:{name:'Lake',fips:'08065'},geometry:{type:'Polygon',coordinates:[[[-106.263,38.857],[-105.928,38.857],[-105.928,39.374],[-106.263,39.374],[-106.263,38.857]]]}},
+    {type:'Feature',id:'08093',properties:{name:'Park',fips:'08093'},geometry:{type:'Polygon',coordinates:[[[-105.928,38.676],[-105.18,38.676],[-105.18,39.374],[-105.928,39.374],[-105.928,38.676]]]}},
+    {type:'Feature',id:'08059',properties:{name:'Jefferson',fips:'08059'},geometry:{type:'Polygon',coordinates:[[[-105.24,39.391],[-104.943,39.391],[-104.943,39.914],[-105.24,39.914],[-105.24,39.391]]]}},
+    {type:'Feature',id:'08031',properties:{name:'Denver',fips:'08031'},geometry:{type:'Polygon',coordinates:[[[-105.11,39.614],[-104.601,39.614],[-104.601,39.914],[-105.11,39.914],[-105.11,39.614]]]}},
+    {type:'Feature',id:'08005',properties:{name:'Arapahoe',fips:'08005'},geometry:{type:'Polygon',coordinates:[[[-104.939,39.391],[-103.574,39.391],[-103.574,39.914],[-104.939,39.914],[-104.939,39.391]]]}},
+    {type:'Feature',id:'08039',properties:{name:'Elbert',fips:'08039'},geometry:{type:'Polygon',coordinates:[[[-104.601,38.686],[-103.574,38.686],[-103.574,39.391],[-104.601,39.391],[-104.601,38.686]]]}},
+    {type:'Feature',id:'08073',properties:{name:'Lincoln',fips:'08073'},geometry:{type:'Polygon',coordinates:[[[-103.574,38.686],[-102.042,38.686],[-102.042,39.574],[-103.574,39.574],[-103.574,38.686]]]}},
+    {type:'Feature',id:'08063',properties:{name:'Kit Carson',fips:'08063'},geometry:{type:'Polygon',coordinates:[[[-102.813,38.686],[-102.042,38.686],[-102.042,39.391],[-102.813,39.391],[-102.813,38.686]]]}},
+    {type:'Feature',id:'08109',properties:{name:'Saguache',fips:'08109'},geometry:{type:'Polygon',coordinates:[[[-106.881,37.574],[-105.636,37.574],[-105.636,38.257],[-106.881,38.257],[-106.881,37.574]]]}},
+    {type:'Feature',id:'08015',properties:{name:'Chaffee',fips:'08015'},geometry:{type:'Polygon',coordinates:[[[-106.263,38.257],[-105.558,38.257],[-105.558,38.857],[-106.263,38.857],[-106.263,38.257]]]}},
+    {type:'Feature',id:'08043',properties:{name:'Fremont',fips:'08043'},geometry:{type:'Polygon',coordinates:[[[-105.558,38.086],[-104.943,38.086],[-104.943,38.686],[-105.558,38.686],[-105.558,38.086]]]}},
+    {type:'Feature',id:'08119',properties:{name:'Teller',fips:'08119'},geometry:{type:'Polygon',coordinates:[[[-105.308,38.676],[-104.601,38.676],[-104.601,39.074],[-105.308,39.074],[-105.308,38.676]]]}},
+    {type:'Feature',id:'08041',properties:{name:'El Paso',fips:'08041'},geometry:{type:'Polygon',coordinates:[[[-105.18,38.086],[-103.574,38.086],[-103.574,38.986],[-105.18,38.986],[-105.18,38.086]]]}},
+    {type:'Feature',id:'08025',properties:{name:'Crowley',fips:'08025'},geometry:{type:'Polygon',coordinates:[[[-103.874,38.086],[-103.245,38.086],[-103.245,38.686],[-103.874,38.686],[-103.874,38.086]]]}},
+    {type:'Feature',id:'08089',properties:{name:'Otero',fips:'08089'},geometry:{type:'Polygon',coordinates:[[[-103.506,37.574],[-103.006,37.574],[-103.006,38.086],[-103.506,38.086],[-103.506,37.574]]]}},
+    {type:'Feature',id:'08011',properties:{name:'Bent',fips:'08011'},geometry:{type:'Polygon',coordinates:[[[-103.506,37.574],[-102.042,37.574],[-102.042,38.086],[-103.506,38.086],[-103.506,37.574]]]}},
+    {type:'Feature',id:'08099',properties:{name:'Prowers',fips:'08099'},geometry:{type:'Polygon',coordinates:[[[-102.813,37.574],[-102.042,37.574],[-102.042,38.086],[-102.813,38.086],[-102.813,37.574]]]}},
+    {type:'Feature',id:'08053',properties:{name:'Hinsdale',fips:'08053'},geometry:{type:'Polygon',coordinates:[[[-107.63,37.574],[-106.881,37.574],[-106.881,38.257],[-107.63,38.257],[-107.63,37.574]]]}},
+    {type:'Feature',id:'08079',properties:{name:'Mineral',fips:'08079'},geometry:{type:'Polygon',coordinates:[[[-107.044,37.574],[-106.644,37.574],[-106.644,37.977],[-107.044,37.977],[-107.044,37.574]]]}},
+    {type:'Feature',id:'08105',properties:{name:'Rio Grande',fips:'08105'},geometry:{type:'Polygon',coordinates:[[[-106.644,37.574],[-105.636,37.574],[-105.636,38.086],[-106.644,38.086],[-106.644,37.574]]]}},
+    {type:'Feature',id:'08003',properties:{name:'Alamosa',fips:'08003'},geometry:{type:'Polygon',coordinates:[[[-105.912,37.234],[-105.196,37.234],[-105.196,37.574],[-105.912,37.574],[-105.912,37.234]]]}},
+    {type:'Feature',id:'08021',properties:{name:'Conejos',fips:'08021'},geometry:{type:'Polygon',coordinates:[[[-106.882,36.993],[-105.636,36.993],[-105.636,37.574],[-106.882,37.574],[-106.882,36.993]]]}},
+    {type:'Feature',id:'08023',properties:{name:'Costilla',fips:'08023'},geometry:{type:'Polygon',coordinates:[[[-105.636,36.993],[-105.027,36.993],[-105.027,37.574],[-105.636,37.574],[-105.636,36.993]]]}},
+    {type:'Feature',id:'08055',properties:{name:'Huerfano',fips:'08055'},geometry:{type:'Polygon',coordinates:[[[-105.18,37.33],[-104.255,37.33],[-104.255,38.086],[-105.18,38.086],[-105.18,37.33]]]}},
+    {type:'Feature',id:'08071',properties:{name:'Las Animas',fips:'08071'},geometry:{type:'Polygon',coordinates:[[[-104.939,36.993],[-102.813,36.993],[-102.813,37.574],[-104.939,37.574],[-104.939,36.993]]]}},
+    {type:'Feature',id:'08101',properties:{name:'Pueblo',fips:'08101'},geometry:{type:'Polygon',coordinates:[[[-105.027,37.574],[-103.874,37.574],[-103.874,38.086],[-105.027,38.086],[-105.027,37.574]]]}},
+    {type:'Feature',id:'08033',properties:{name:'Dolores',fips:'08033'},geometry:{type:'Polygon',coordinates:[[[-108.96,37.574],[-108.29,37.574],[-108.29,38.257],[-108.96,38.257],[-108.96,37.574]]]}},
+    {type:'Feature',id:'08113',properties:{name:'San Miguel',fips:'08113'},geometry:{type:'Polygon',coordinates:[[[-108.96,37.814],[-107.967,37.814],[-107.967,38.257],[-108.96,38.257],[-108.96,37.814]]]}},
+    {type:'Feature',id:'08083',properties:{name:'Montezuma',fips:'08083'},geometry:{type:'Polygon',coordinates:[[[-109.06,36.993],[-107.967,36.993],[-107.967,37.574],[-109.06,37.574],[-109.06,36.993]]]}},
+    {type:'Feature',id:'08067',properties:{name:'La Plata',fips:'08067'},geometry:{type:'Polygon',coordinates:[[[-107.967,36.993],[-106.882,36.993],[-106.882,37.574],[-107.967,37.574],[-107.967,36.993]]]}},
+    {type:'Feature',id:'08007',properties:{name:'Archuleta',fips:'08007'},geometry:{type:'Polygon',coordinates:[[[-107.044,36.993],[-106.882,36.993],[-106.882,37.574],[-107.044,37.574],[-107.044,36.993]]]}},
+    {type:'Feature',id:'08111',properties:{name:'San Juan',fips:'08111'},geometry:{type:'Polygon',coordinates:[[[-107.964,37.574],[-107.044,37.574],[-107.044,37.977],[-107.964,37.977],[-107.964,37.574]]]}},
+    {type:'Feature',id:'08017',properties:{name:'Cheyenne',fips:'08017'},geometry:{type:'Polygon',coordinates:[[[-103.574,38.257],[-102.042,38.257],[-102.042,38.686],[-103.574,38.686],[-103.574,38.257]]]}},
+    {type:'Feature',id:'08061',properties:{name:'Kiowa',fips:'08061'},geometry:{type:'Polygon',coordinates:[[[-103.006,38.257],[-102.042,38.257],[-102.042,38.686],[-103.006,38.686],[-103.006,38.257]]]}},
+  ]};
+
+  /* Built-in bundle; other states load data/lihtc-fallback/<abbr>.json (see loadBundle) */
+  const EMBEDDED_BUNDLES = {
+    CO: { state: FALLBACK_CO_STATE, counties: FALLBACK_CO_COUNTIES, lihtc: FALLBACK_LIHTC, qct: FALLBACK_QCT, dda: FALLBACK_DDA }
+  };
+
+  /* =====================================================================
+     STATES
+     Two-digit FIPS, name and border bbox [south, west, north, east]
+     ===================================================================== */
+  const STATES = {
+    AL:['01','Alabama',[30.14,-88.47,35.01,-84.89]],        AK:['02','Alaska',[51.21,-179.15,71.39,-129.98]],
+    AZ:['04','Arizona',[31.33,-114.82,37.00,-109.05]],      AR:['05','Arkansas',[33.00,-94.62,36.50,-89.64]],
+    CA:['06','California',[32.53,-124.41,42.01,-114.13]],   CO:['08','Colorado',[36.99,-109.06,41.00,-102.04]],
+    CT:['09','Connecticut',[40.95,-73.73,42.05,-71.79]],    DE:['10','Delaware',[38.45,-75.79,39.84,-75.05]],
+    DC:['11','District of Columbia',[38.79,-77.12,38.99,-76.91]], FL:['12','Florida',[24.40,-87.63,31.00,-80.03]],
+    GA:['13','Georgia',[30.36,-85.61,35.00,-80.84]],        HI:['15','Hawaii',[18.91,-160.24,22.24,-154.81]],
+    ID:['16','Idaho',[41.99,-117.24,49.00,-111.04]],        IL:['17','Illinois',[36.97,-91.51,42.51,-87.50]],
+    IN:['18','Indiana',[37.77,-88.10,41.76,-84.78]],        IA:['19','Iowa',[40.38,-96.64,43.50,-90.14]],
+    KS:['20','Kansas',[36.99,-102.05,40.00,-94.59]],        KY:['21','Kentucky',[36.50,-89.57,39.15,-81.96]],
+    LA:['22','Louisiana',[28.93,-94.04,33.02,-88.82]],      ME:['23','Maine',[42.98,-71.08,47.46,-66.95]],
+    MD:['24','Maryland',[37.91,-79.49,39.72,-75.05]],       MA:['25','Massachusetts',[41.24,-73.51,42.89,-69.93]],
+    MI:['26','Michigan',[41.70,-90.42,48.31,-82.41]],       MN:['27','Minnesota',[43.50,-97.24,49.38,-89.49]],
+    MS:['28','Mississippi',[30.17,-91.66,35.00,-88.10]],    MO:['29','Missouri',[35.99,-95.77,40.61,-89.10]],
+    MT:['30','Montana',[44.36,-116.05,49.00,-104.04]],      NE:['31','Nebraska',[40.00,-104.05,43.00,-95.31]],
+    NV:['32','Nevada',[35.00,-120.01,42.00,-114.04]],       NH:['33','New Hampshire',[42.70,-72.56,45.31,-70.61]],
+    NJ:['34','New Jersey',[38.93,-75.56,41.36,-73.89]],     NM:['35','New Mexico',[31.33,-109.05,37.00,-103.00]],
+    NY:['36','New York',[40.50,-79.76,45.02,-71.86]],       NC:['37','North Carolina',[33.84,-84.32,36.59,-75.46]],
+    ND:['38','North Dakota',[45.94,-104.05,49.00,-96.55]],  OH:['39','Ohio',[38.40,-84.82,41.98,-80.52]],
+    OK:['40','Oklahoma',[33.62,-103.00,37.00,-94.43]],      OR:['41','Oregon',[41.99,-124.57,46.29,-116.46]],
+    PA:['42','Pennsylvania',[39.72,-80.52,42.27,-74.69]],   RI:['44','Rhode Island',[41.15,-71.86,42.02,-71.12]],
+    SC:['45','South Carolina',[32.03,-83.35,35.22,-78.54]], SD:['46','South Dakota',[42.48,-104.06,45.95,-96.44]],
+    TN:['47','Tennessee',[34.98,-90.31,36.68,-81.65]],      TX:['48','Texas',[25.84,-106.65,36.50,-93.51]],
+    UT:['49','Utah',[37.00,-114.05,42.00,-109.04]],         VT:['50','Vermont',[42.73,-73.44,45.02,-71.46]],
+    VA:['51','Virginia',[36.54,-83.68,39.47,-75.24]],       WA:['53','Washington',[45.54,-124.85,49.00,-116.92]],
+    WV:['54','West Virginia',[37.20,-82.64,40.64,-77.72]],  WI:['55','Wisconsin',[42.49,-92.89,47.31,-86.25]],
+    WY:['56','Wyoming',[40.99,-111.06,45.01,-104.05]]
+  };
+  const DEFAULT_STATE = 'CO';
+  const PAD_MILES_DEG = 0.72; // ~50 miles of latitude
+
+  /* Abbreviation ('UT'), FIPS ('49' or 49) or name ('Utah') → { abbr, fips, name, bbox } or null */
+  function resolveState(value) {
+    if (value == null || value === '') return null;
+    const v = String(value).trim();
+    const abbr = Object.keys(STATES).find(a =>
+      a === v.toUpperCase() || STATES[a][0] === v.padStart(2, '0') || STATES[a][1].toLowerCase() === v.toLowerCase());
+    if (!abbr) return null;
+    const [fips, name, bbox] = STATES[abbr];
+    return { abbr, fips, name, bbox };
+  }
+
+  /* Border bounds and the ~50-mile zoom lock around them */
+  function stateBounds(st) {
+    const [s, w, n, e] = st.bbox;
+    const lonPad = PAD_MILES_DEG / Math.cos(((s + n) / 2) * Math.PI / 180);
+    return {
+      strict: L.latLngBounds([[s, w], [n, e]]),
+      max:    L.latLngBounds([[s - PAD_MILES_DEG, w - lonPad], [n + PAD_MILES_DEG, e + lonPad]])
+    };
+  }
+
+  /* { state, counties, lihtc, qct, dda } FeatureCollections used when the live services fail, plus
+     source: the bundle file. data/lihtc-fallback/<abbr>.json (.github/workflows/fetch-lihtc-fallback.yml,
+     copies of the live layers) comes first; without one Colorado falls back to its embedded bundle
+     (source 'embedded') and other states get {}. */
+  const bundles = {};
+  function loadBundle(st) {
+    if (!bundles[st.abbr]) {
+      const file = `data/lihtc-fallback/${st.abbr.toLowerCase()}.json`;
+      bundles[st.abbr] = fetchJSON(file)
+        .then(bundle => ({ ...bundle, source: file }))
+        .catch(e => {
+          if (EMBEDDED_BUNDLES[st.abbr]) return { ...EMBEDDED_BUNDLES[st.abbr], source: 'embedded' };
+          console.warn(`No fallback bundle for ${st.abbr}:`, e.message);
+          return {};
+        });
+    }
+    return bundles[st.abbr];
+  }
+
+  const EMPTY_FC = () => ({type:'FeatureCollection', features:[]});
+
+  function bboxOutline(st) {
+    const [s, w, n, e] = st.bbox;
+    return {type:'FeatureCollection',features:[
+      {type:'Feature',id:st.fips,properties:{name:st.name},geometry:{type:'Polygon',coordinates:[[[w,n],[e,n],[e,s],[w,s],[w,n]]]}}
+    ]};
+  }
+
+  /* ?state= from the URL, else the picker's preset value, else Colorado */
+  function initialState() {
+    const param = new URLSearchParams(window.location.search).get('state');
+    return resolveState(param) || resolveState($id('mapState')?.value) || resolveState(DEFAULT_STATE);
+  }
+
+  /* =====================================================================
+     PROJECT FILTERS
+     Panel controls ↔ ProjectIndex criteria ↔ URL parameters (shareable filtered maps)
+     ===================================================================== */
+  const RANGE_FILTERS = [
+    { key:'pis',   param:'pis',   min:'fPisMin',   max:'fPisMax' },
+    { key:'alloc', param:'alloc', min:'fAllocMin', max:'fAllocMax' },
+    { key:'units', param:'units', min:'fUnitsMin', max:'fUnitsMax' }
+  ];
+  const FLAG_FILTERS   = [ { key:'qct', param:'qct', id:'filterQCT' }, { key:'dda', param:'dda', id:'filterDDA' }, { key:'nonProfit', param:'np', id:'fNonProfit' } ];
+  const SELECT_FILTERS = [ { key:'credit', param:'credit', id:'fCredit' }, { key:'target', param:'target', id:'fTarget' }, { key:'nearing', param:'near', id:'fNearing' }, { key:'liShare', param:'li', id:'fLiShare' } ];
+
+  const numOrNull = v => (v === '' || v == null || !Number.isFinite(Number(v))) ? null : Number(v);
+
+  /* URLSearchParams → criteria (?pis=2000-2015&credit=9&np=1 …) */
+  function filtersFromParams(params) {
+    const c = {};
+    RANGE_FILTERS.forEach(f => {
+      const v = params.get(f.param);
+      if (!v) return;
+      const [min, max] = v.split('-').map(numOrNull);
+      if (min != null || max != null) c[f.key] = [min, max];
+    });
+    FLAG_FILTERS.forEach(f => { if (params.get(f.param) === '1') c[f.key] = true; });
+    SELECT_FILTERS.forEach(f => {
+      const v = params.get(f.param);
+      if (v) c[f.key] = f.key === 'liShare' ? numOrNull(v) : v;
+    });
+    return c;
+  }
+
+  /* Write criteria into `url` (a URL), replacing any earlier filter parameters */
+  function filtersToURL(c, url) {
+    [...RANGE_FILTERS, ...FLAG_FILTERS, ...SELECT_FILTERS].forEach(f => url.searchParams.delete(f.param));
+    RANGE_FILTERS.forEach(f => {
+      if (c[f.key]) url.searchParams.set(f.param, c[f.key].map(v => v == null ? '' : v).join('-'));
+    });
+    FLAG_FILTERS.forEach(f => { if (c[f.key]) url.searchParams.set(f.param, '1'); });
+    SELECT_FILTERS.forEach(f => { if (c[f.key]) url.searchParams.set(f.param, String(c[f.key])); });
+    return url;
+  }
+
+  function filtersFromControls() {
+    const c = {};
+    RANGE_FILTERS.forEach(f => {
+      const min = numOrNull($id(f.min)?.value), max = numOrNull($id(f.max)?.value);
+      if (min != null || max != null) c[f.key] = [min, max];
+    });
+    FLAG_FILTERS.forEach(f => { if ($id(f.id)?.checked) c[f.key] = true; });
+    SELECT_FILTERS.forEach(f => {
+      const v = $id(f.id)?.value;
+      if (v) c[f.key] = f.key === 'liShare' ? numOrNull(v) : v;
+    });
+    return c;
+  }
+
+  function filtersToControls(c) {
+    RANGE_FILTERS.forEach(f => {
+      const [min, max] = c[f.key] || [];
+      if ($id(f.min)) $id(f.min).value = min == null ? '' : min;
+      if ($id(f.max)) $id(f.max).value = max == null ? '' : max;
+    });
+    FLAG_FILTERS.forEach(f => { if ($id(f.id)) $id(f.id).checked = !!c[f.key]; });
+    SELECT_FILTERS.forEach(f => { if ($id(f.id)) $id(f.id).value = c[f.key] == null ? '' : String(c[f.key]); });
+  }
+
+  /* Live counts from ProjectIndex.facetCounts: option labels get "(n)", flags a count badge, active
+     range filters the number of projects they hide */
+  function showFilterCounts(facets, c) {
+    const fmt = n => n.toLocaleString();
+    const badge = (key, text) => {
+      const el = document.querySelector(`[data-filter-count="${key}"]`);
+      if (el) el.textContent = text;
+    };
+    FLAG_FILTERS.forEach(f => badge(f.key, `(${fmt(facets.options[f.key].yes)})`));
+    RANGE_FILTERS.forEach(f => badge(f.key, c[f.key] ? `−${fmt(facets.without[f.key] - facets.matched)}` : ''));
+    badge('liShare', c.liShare ? `−${fmt(facets.without.liShare - facets.matched)}` : '');
+    [['credit','fCredit'], ['target','fTarget'], ['nearing','fNearing']].forEach(([key, id]) => {
+      const sel = $id(id);
+      if (!sel) return;
+      Array.from(sel.options).forEach(o => {
+        if (!o.value) return;
+        if (!o.dataset.label) o.dataset.label = o.textContent;
+        o.textContent = `${o.dataset.label} (${fmt(facets.options[key][o.value] || 0)})`;
+      });
+    });
+    const summary = $id('filterSummary');
+    if (summary) summary.textContent = Object.keys(c).length ? `${Object.keys(c).length} active · ${fmt(facets.matched)} projects` : '';
+  }
+
   /* =====================================================================
      MAIN INIT
      ===================================================================== */
@@ -238,18 +556,11 @@
     if (!mapEl || typeof L === 'undefined') { console.error('Leaflet not loaded or #coMap missing'); return; }
     const statusEl = $id('map-status');
 
-    /* Colorado bbox constants
-       True border:  SW 36.99°N 109.06°W — NE 41.00°N 102.04°W
-       50-mile pad:  ~0.72° lat, ~0.90° lon at 39°N              */
-    const CO_STRICT    = L.latLngBounds([[36.99,-109.06],[41.00,-102.04]]);
-    const CO_MAX_BOUNDS = L.latLngBounds([[36.27,-109.96],[41.72,-101.14]]);
-
     const map = L.map('coMap', {
       preferCanvas: true,
       zoomControl: true,
-      minZoom: 6,
+      minZoom: 3,
       maxZoom: 14,
-      maxBounds: CO_MAX_BOUNDS,
       maxBoundsViscosity: 1.0
     });
 
@@ -267,55 +578,81 @@
 
     addLegend(map);
 
+    /* State being shown; loaders drop their results if it changes while they wait */
+    let current = null;
+
     /* ---------- Step 1: Boundaries ---------- */
-    setStatus(statusEl, 'Loading boundaries…', 'info');
-    let coBounds = CO_STRICT;
-    try {
-      const [topoStates, topoCounties] = await Promise.all([
-        fetchJSON(US_STATES_TOPO),
-        fetchJSON(US_COUNTIES_TOPO)
-      ]);
-      const statesFC   = topojson.feature(topoStates,   topoStates.objects.states);
-      const countiesFC = topojson.feature(topoCounties, topoCounties.objects.counties);
-      const coStateFC   = {type:'FeatureCollection', features: statesFC.features.filter(f => String(f.id).padStart(2,'0')==='08')};
-      const coCountiesFC = {type:'FeatureCollection', features: countiesFC.features.filter(f => String(f.id).padStart(5,'0').startsWith('08'))};
-
-      L.geoJSON(coStateFC, {style: styleState}).addTo(map);
-      coBounds = L.geoJSON(coStateFC).getBounds();
-
-      const countiesLayer = L.geoJSON(coCountiesFC, {
+    let atlasPromise = null;
+    function loadAtlas() {
+      if (!atlasPromise) atlasPromise = (async () => {
+        if (typeof topojson === 'undefined') throw new Error('topojson-client not loaded');
+        const [topoStates, topoCounties] = await Promise.all([
+          fetchJSON(US_STATES_TOPO),
+          fetchJSON(US_COUNTIES_TOPO)
+        ]);
+        return {
+          states:   topojson.feature(topoStates,   topoStates.objects.states),
+          counties: topojson.feature(topoCounties, topoCounties.objects.counties)
+        };
+      })().catch(e => { atlasPromise = null; throw e; });
+      return atlasPromise;
+    }
+
+    let stateLayer = null, countiesLayer = null;
+
+    async function loadBoundaries(st) {
+      setStatus(statusEl, 'Loading boundaries…', 'info');
+      let stateFC, countiesFC;
+      try {
+        const atlas = await loadAtlas();
+        stateFC    = {type:'FeatureCollection', features: atlas.states.features.filter(f => String(f.id).padStart(2,'0')===st.fips)};
+        countiesFC = {type:'FeatureCollection', features: atlas.counties.features.filter(f => String(f.id).padStart(5,'0').startsWith(st.fips))};
+        setStatus(statusEl, 'Boundaries loaded ✓', 'ok');
+      } catch(e) {
+        console.warn('TopoJSON boundaries unavailable, using fallback outlines:', e.message);
+        const bundle = await loadBundle(st);
+        stateFC    = bundle.state || bboxOutline(st);
+        countiesFC = bundle.counties || EMPTY_FC();
+        setStatus(statusEl, `Boundaries loaded (${bundle.source === 'embedded' ? 'embedded' : 'fallback'}) ✓`, 'ok');
+      }
+      if (st !== current) return;
+
+      stateLayer = L.geoJSON(stateFC, {style: styleState}).addTo(map);
+      countiesLayer = L.geoJSON(countiesFC, {
         style: styleCounty,
         onEachFeature: (f, lyr) => {
-          const name = (f.properties && f.properties.name) ? f.properties.name + ' County' : 'Colorado County';
+          const name = (f.properties && f.properties.name) ? f.properties.name + ' County' : st.name + ' county';
           lyr.bindTooltip(name, {sticky:true, opacity:0.93, offset:[5,0]});
           lyr.on('mouseover', function() { this.setStyle({color:'rgba(255,255,255,0.75)',weight:2}); });
           lyr.on('mouseout',  function() { this.setStyle(styleCounty()); });
         }
-      }).addTo(map);
+      });
+      if ($id('layerCounties')?.checked !== false) countiesLayer.addTo(map);
+    }
 
-      map.fitBounds(coBounds, {padding:[16,16]});
+    function fitState(st) {
+      const { strict, max } = stateBounds(st);
+      // Drop the previous state's lock before fitting the new one
+      map.setMinZoom(3);
+      map.setMaxBounds(max);
+      map.fitBounds(strict, {padding:[16,16]});
       // minZoom: don't allow zooming out beyond the 50-mile buffer
-      const minZ = Math.max(5, Math.floor(map.getBoundsZoom(CO_MAX_BOUNDS)));
-      map.setMinZoom(minZ);
-
-      const chkCounties = $id('layerCounties');
-      if (chkCounties) chkCounties.addEventListener('change', () =>
-        chkCounties.checked ? countiesLayer.addTo(map) : map.removeLayer(countiesLayer));
-
-      setStatus(statusEl, 'Boundaries loaded ✓', 'ok');
-    } catch(e) {
-      console.error('Boundary load failed:', e);
-      setStatus(statusEl, 'Boundary load failed', 'err');
-      map.fitBounds(CO_STRICT, {padding:[10,10]});
+      map.setMinZoom(Math.max(3, Math.floor(map.getBoundsZoom(max))));
     }
 
+    const chkCounties = $id('layerCounties');
+    if (chkCounties) chkCounties.addEventListener('change', () => {
+      if (countiesLayer) chkCounties.checked ? countiesLayer.addTo(map) : map.removeLayer(countiesLayer);
+    });
+
     /* ---------- Step 2: Places ---------- */
     let placesLayer = null;
-    async function loadPlaces() {
+    async function loadPlaces(st) {
       try {
         setStatus(statusEl, 'Loading places…', 'info');
-        const gj = await arcgisQuery(CO_PLACES_URL, "STATE='08'", 'NAME,LSAD,FUNCSTAT,ALAND');
+        const gj = await arcgisQuery(PLACES_URL, `STATE='${st.fips}'`, 'NAME,LSAD,FUNCSTAT,ALAND');
         if (!gj.features.length) throw new Error('empty');
+        if (st !== current) return;
         placesLayer = L.geoJSON(gj, {
           style: stylePlace,
           onEachFeature: (f, lyr) => {
@@ -323,69 +660,144 @@
             if (name) lyr.bindTooltip(name, {sticky:true, opacity:0.88, offset:[5,0]});
           }
         });
-        const chkPlaces = $id('layerPlaces');
-        if (chkPlaces) {
-          if (chkPlaces.checked) placesLayer.addTo(map);
-          chkPlaces.addEventListener('change', () =>
-            chkPlaces.checked ? placesLayer.addTo(map) : map.removeLayer(placesLayer));
-        }
+        if ($id('layerPlaces')?.checked) placesLayer.addTo(map);
         setStatus(statusEl, `Places loaded (${gj.features.length}) ✓`, 'ok');
       } catch(e) { console.warn('Places unavailable:', e.message); }
     }
 
-    /* ---------- Step 3: LIHTC Projects ---------- */
-    let lihtcAll = null;
+    const chkPlaces = $id('layerPlaces');
+    if (chkPlaces) chkPlaces.addEventListener('change', () => {
+      if (placesLayer) chkPlaces.checked ? placesLayer.addTo(map) : map.removeLayer(placesLayer);
+    });
+
+    /* ---------- Step 3: LIHTC Projects ----------
+       Projects live in a ProjectIndex (js/project-index.js); filters rebuild the list of matching
+       indices, and only the clusters and points inside the viewport are drawn, again after every pan
+       or zoom. Popups and tooltips are built when opened. */
+    let lihtcIndex = null;
+    let lihtcShown = new Uint32Array(0);
+    let lihtcHorizons = null; // Preservation.horizonCodes for the current index
     const lihtcGroup = L.layerGroup().addTo(map);
+    const CLUSTER_OFF_ZOOM = 13;
+
+    function clusterIcon(c) {
+      const size = Math.round(26 + Math.min(26, Math.log10(c.count) * 12));
+      return L.divIcon({
+        className: 'lihtc-cluster',
+        html: `<span>${c.count >= 1000 ? (c.count / 1000).toFixed(1) + 'k' : c.count}</span>`,
+        iconSize: [size, size]
+      });
+    }
 
-    function renderLIHTC() {
+    function projectTooltip(p) {
+      const nm   = p.PROJECT || p.PROJ_NM || 'LIHTC Project';
+      const city = p.PROJ_CTY || p.STD_CITY || '';
+      const yr   = p.YR_PIS ? ` (${p.YR_PIS})` : '';
+      const units = p.LI_UNITS ? `<br>${p.LI_UNITS} low-income units` : '';
+      return `<strong>${nm}</strong>${city?'<br>'+city:''}${yr}${units}`;
+    }
+
+    // With the expiring layer on, only projects with a milestone inside the longest horizon
+    function visibleProjects() {
+      if (!$id('layerExpiring')?.checked || !window.Preservation) return lihtcShown;
+      if (!lihtcHorizons) lihtcHorizons = window.Preservation.horizonCodes(lihtcIndex);
+      return lihtcShown.filter(i => lihtcHorizons[i] > 0);
+    }
+
+    function drawLIHTC() {
       lihtcGroup.clearLayers();
-      if (!lihtcAll) return;
-      const onlyQCT = !!$id('filterQCT')?.checked;
-      const onlyDDA = !!$id('filterDDA')?.checked;
-      let shown = 0;
-      for (const f of (lihtcAll.features || [])) {
-        const p = f.properties || {};
-        if (onlyQCT && !(p.QCT===1||p.QCT==='1'||p.QCT==='Y'||p.QCT===true)) continue;
-        if (onlyDDA && !(p.DDA===1||p.DDA==='1'||p.DDA==='Y'||p.DDA===true)) continue;
-        const coords = f.geometry?.type==='Point' ? f.geometry.coordinates : null;
-        if (!coords || !coords[0] || !coords[1]) continue;
-        const marker = L.circleMarker([coords[1], coords[0]], {
-          pane:'pointsPane2', radius:5.5, weight:1.5,
-          color:'rgba(94,200,248,1)', fillColor:'rgba(94,200,248,0.72)', fillOpacity:1
-        });
-        marker.bindPopup(buildPopup(p), {maxWidth:340});
-        const nm   = p.PROJECT || p.PROJ_NM || 'LIHTC Project';
-        const city = p.PROJ_CTY || p.STD_CITY || '';
-        const yr   = p.YR_PIS ? ` (${p.YR_PIS})` : '';
-        const units = p.LI_UNITS ? `<br>${p.LI_UNITS} low-income units` : '';
-        marker.bindTooltip(
-          `<strong>${nm}</strong>${city?'<br>'+city:''}${yr}${units}`,
-          {sticky:false, offset:[8,0], opacity:0.95, direction:'right'}
-        );
-        marker.addTo(lihtcGroup);
-        shown++;
+      if (!lihtcIndex || !lihtcShown.length) return;
+      const visible = visibleProjects();
+      const b = map.getBounds().pad(0.1);
+      const clusters = lihtcIndex.cluster(visible,
+        {south:b.getSouth(), west:b.getWest(), north:b.getNorth(), east:b.getEast()},
+        map.getZoom(), {cellPx:60, disableAt:CLUSTER_OFF_ZOOM});
+
+      for (const c of clusters) {
+        if (c.count === 1) {
+          const p = lihtcIndex.properties[c.first] || {};
+          const due = visible !== lihtcShown ? HORIZON_COLORS[lihtcHorizons[c.first]] : null;
+          const marker = L.circleMarker([c.lat, c.lng], {
+            pane:'pointsPane2', radius:5.5, weight:1.5, bubblingMouseEvents:false,
+            color: due || 'rgba(94,200,248,1)', fillColor: due || 'rgba(94,200,248,0.72)', fillOpacity: due ? 0.85 : 1
+          });
+          marker.bindPopup(() => buildPopup(p), {maxWidth:340});
+          marker.bindTooltip(() => projectTooltip(p), {sticky:false, offset:[8,0], opacity:0.95, direction:'right'});
+          marker.addTo(lihtcGroup);
+        } else {
+          const marker = L.marker([c.lat, c.lng], {icon: clusterIcon(c), pane:'pointsPane2', bubblingMouseEvents:false});
+          marker.bindTooltip(
+            `<strong>${c.count.toLocaleString()} LIHTC projects</strong><br>${c.liUnits.toLocaleString()} low-income units<br><span style="opacity:.65;font-size:11px;">Click to zoom in</span>`,
+            {sticky:false, offset:[10,0], opacity:0.95, direction:'right'}
+          );
+          marker.on('click', () => map.fitBounds(c.bounds, {padding:[40,40], maxZoom:CLUSTER_OFF_ZOOM}));
+          marker.addTo(lihtcGroup);
+        }
       }
-      setStatus(statusEl, `${shown} LIHTC projects ✓`, 'ok');
     }
 
-    async function loadLIHTC() {
+    // Point-in-polygon QCT/DDA membership for every project, once per loaded pair of layers
+    function refreshEligibility() {
+      const se = window.SiteEligibility;
+      if (!lihtcIndex || !se) return;
+      const key = ['qct','dda'].map(k => se.layers[k] ? `${se.sources[k]}:${se.layers[k].length}` : '-').join('|');
+      lihtcIndex.applyEligibility((lat, lng) => se.lookup(lat, lng), key);
+    }
+
+    let filters = filtersFromParams(new URLSearchParams(window.location.search));
+    filtersToControls(filters);
+
+    function renderLIHTC() {
+      if (!lihtcIndex) { lihtcGroup.clearLayers(); return; }
+      // The 2026 polygons decide membership; the HUD record's own flags are the fallback
+      // (approximate outlines return null and never override them)
+      refreshEligibility();
+      lihtcShown = lihtcIndex.filter(filters);
+      drawLIHTC();
+      showFilterCounts(lihtcIndex.facetCounts(filters), filters);
+      // Other panels (js/preservation-panel.js) follow the map's state and filters
+      document.dispatchEvent(new CustomEvent('lihtcmap:projects', {detail:{state:current, index:lihtcIndex, shown:lihtcShown}}));
+      const { liUnits } = lihtcIndex.totals(lihtcShown);
+      setStatus(statusEl, `${lihtcShown.length.toLocaleString()} LIHTC projects · ${liUnits.toLocaleString()} LI units ✓`, 'ok');
+    }
+
+    map.on('moveend', drawLIHTC);
+
+    // HUD's own project geocodes extend the address lookup (js/site-eligibility.js), once per state
+    const geocodedStates = new Set();
+    function addProjectGeocodes(st, gj) {
+      if (!window.SiteEligibility || geocodedStates.has(st.abbr)) return;
+      geocodedStates.add(st.abbr);
+      window.SiteEligibility.addGeocoderEntries(gj.features
+        .map(f => {
+          const p = f.properties || {};
+          const [lng, lat] = f.geometry ? f.geometry.coordinates : [];
+          return { address: p.STD_ADDR || p.PROJ_ADD, city: p.STD_CITY || p.PROJ_CTY, state: p.STD_ST || p.PROJ_ST || st.abbr, lat, lng, label: p.PROJECT || p.PROJ_NM, precision: 'address' };
+        })
+        .filter(e => e.address));
+    }
+
+    async function loadLIHTC(st) {
       setStatus(statusEl, 'Loading LIHTC projects…', 'info');
       let gj = null;
       try {
-        gj = await arcgisQuery(HUD_LIHTC_LAYER, "(PROJ_ST='CO') OR (STD_ST='CO')", '*');
+        gj = await arcgisQuery(HUD_LIHTC_LAYER, `(PROJ_ST='${st.abbr}') OR (STD_ST='${st.abbr}')`, '*');
         if (!gj.features.length) throw new Error('Empty result from HUD');
-        console.log('✓ LIHTC: loaded from HUD API');
+        console.log(`✓ LIHTC: loaded ${st.abbr} from HUD API`);
+        addProjectGeocodes(st, gj);
       } catch(e) {
-        console.warn('HUD LIHTC API unavailable, using embedded data:', e.message);
-        gj = FALLBACK_LIHTC;
+        console.warn('HUD LIHTC API unavailable, using fallback data:', e.message);
+        gj = (await loadBundle(st)).lihtc || EMPTY_FC();
       }
-      lihtcAll = gj;
+      if (st !== current) return;
+      lihtcIndex = window.ProjectIndex ? new window.ProjectIndex(gj.features) : null;
+      if (!lihtcIndex) console.error('ProjectIndex not loaded (js/project-index.js)');
       renderLIHTC();
+      if (!gj.features.length) setStatus(statusEl, `No LIHTC project data for ${st.name}`, 'warn');
     }
 
     /* ---------- Step 4: QCT / DDA ---------- */
     let qctLayer = null, ddaLayer = null;
-    let qctLoaded = false, ddaLoaded = false;
 
     function makeOverlayLayer(gj, styleFn, label) {
       return L.geoJSON(gj, {
@@ -407,8 +819,10 @@
       });
     }
 
-    async function tryLoadFromAPI(primaryUrl, coWhere) {
-      const filters = [coWhere,"STATE_ABBR='CO'","STATE='CO'","STUSAB='CO'","STATEFP='08'","1=1"];
+    async function tryLoadFromAPI(primaryUrl, st) {
+      const filters = [`STATEFP='${st.fips}'`,`STATE_ABBR='${st.abbr}'`,`STATE='${st.abbr}'`,`STUSAB='${st.abbr}'`,"1=1"];
+      const { max } = stateBounds(st);
+      const [s, w, n, e] = [max.getSouth(), max.getWest(), max.getNorth(), max.getEast()];
       for (const where of filters) {
         try {
           const gj = await arcgisQuery(primaryUrl, where, '*');
@@ -419,7 +833,7 @@
               if (!f.geometry) return false;
               const flat = JSON.stringify(f.geometry.coordinates).match(/-?\d+\.?\d+/g)?.map(Number)||[];
               for (let i=0; i<flat.length-1; i+=2)
-                if (flat[i]>-110&&flat[i]<-102&&flat[i+1]>36.5&&flat[i+1]<41.5) return true;
+                if (flat[i]>w&&flat[i]<e&&flat[i+1]>s&&flat[i+1]<n) return true;
               return false;
             });
           }
@@ -429,28 +843,43 @@
       throw new Error('API exhausted');
     }
 
-    async function ensureQCT() {
-      if (qctLoaded) return; qctLoaded = true;
-      try {
-        const gj = await tryLoadFromAPI(QCT_LAYER, "STATEFP='08'");
-        qctLayer = makeOverlayLayer(gj, styleQCT, 'QCT 2026');
-        console.log('✓ QCT: loaded from API');
-      } catch(_) {
-        console.warn('QCT API unavailable, using embedded data');
-        qctLayer = makeOverlayLayer(FALLBACK_QCT, styleQCT, 'QCT 2026');
-      }
+    let qctPromise = null, ddaPromise = null;
+
+    function ensureOverlay(kind, url, styleFn, label) {
+      const st = current;
+      return (async () => {
+        let gj, source;
+        try {
+          gj = await tryLoadFromAPI(url, st);
+          source = url;
+          console.log(`✓ ${kind.toUpperCase()}: loaded ${st.abbr} from API`);
+        } catch(_) {
+          console.warn(`${kind.toUpperCase()} API unavailable, using fallback data`);
+          const bundle = await loadBundle(st);
+          gj = bundle[kind] || EMPTY_FC();
+          source = bundle[kind] ? bundle.source : null;
+        }
+        if (st !== current) return;
+        // The embedded outlines are hand-drawn approximations: drawn, but never used for membership
+        const approximate = source === 'embedded';
+        const layer = makeOverlayLayer(gj, styleFn, approximate ? `${label} (approximate)` : label);
+        if (kind === 'qct') qctLayer = layer; else ddaLayer = layer;
+        if (window.SiteEligibility && source) window.SiteEligibility.setLayer(kind, gj, source, { approximate });
+      })();
     }
 
-    async function ensureDDA() {
-      if (ddaLoaded) return; ddaLoaded = true;
-      try {
-        const gj = await tryLoadFromAPI(DDA_LAYER, "STATEFP='08'");
-        ddaLayer = makeOverlayLayer(gj, styleDDA, 'DDA 2026');
-        console.log('✓ DDA: loaded from API');
-      } catch(_) {
-        console.warn('DDA API unavailable, using embedded data');
-        ddaLayer = makeOverlayLayer(FALLBACK_DDA, styleDDA, 'DDA 2026');
-      }
+    function ensureQCT() {
+      if (!qctPromise) qctPromise = ensureOverlay('qct', QCT_LAYER, styleQCT, 'QCT 2026');
+      return qctPromise;
+    }
+
+    function ensureDDA() {
+      if (!ddaPromise) ddaPromise = ensureOverlay('dda', DDA_LAYER, styleDDA, 'DDA 2026');
+      return ddaPromise;
+    }
+
+    if (window.SiteEligibility) {
+      window.SiteEligibility.registerLoader(() => Promise.all([ensureQCT(), ensureDDA()]));
     }
 
     async function syncQCT() {
@@ -464,6 +893,18 @@
       if (ddaLayer) chk.checked ? ddaLayer.addTo(map) : map.removeLayer(ddaLayer);
     }
 
+    const chkExpiring = $id('layerExpiring');
+    if (chkExpiring) chkExpiring.addEventListener('change', drawLIHTC);
+
+    /* For other panels: the loaded projects and a way to show one on the map */
+    window.LIHTCMap = {
+      getProjects: () => ({state:current, index:lihtcIndex, shown:lihtcShown}),
+      focus(lat, lng, zoom) {
+        map.setView([lat, lng], Math.max(map.getZoom(), zoom || CLUSTER_OFF_ZOOM));
+        mapEl.scrollIntoView({behavior:'smooth', block:'center'});
+      }
+    };
+
     /* ---------- Step 5: Transport ---------- */
     const chkTransport = $id('layerTransport');
     if (chkTransport) chkTransport.addEventListener('change', () =>
@@ -474,13 +915,85 @@
     const chkQCT=$id('layerQCT'),     chkDDA=$id('layerDDA');
     if (chkQCT)    chkQCT.addEventListener('change', syncQCT);
     if (chkDDA)    chkDDA.addEventListener('change', syncDDA);
-    if (filterQCT) filterQCT.addEventListener('change', renderLIHTC);
-    if (filterDDA) filterDDA.addEventListener('change', renderLIHTC);
+
+    /* ---------- Project filter panel ---------- */
+    let filterTimer = null;
+    async function onFilterChange() {
+      filters = filtersFromControls();
+      history.replaceState(null, '', filtersToURL(filters, new URL(window.location.href)));
+      if (filters.qct) await ensureQCT();
+      if (filters.dda) await ensureDDA();
+      renderLIHTC();
+    }
+    const panel = $id('projectFilters');
+    [filterQCT, filterDDA, panel].forEach(el => {
+      if (!el) return;
+      el.addEventListener('change', () => { clearTimeout(filterTimer); onFilterChange(); });
+      el.addEventListener('input', () => { clearTimeout(filterTimer); filterTimer = setTimeout(onFilterChange, 250); });
+    });
+    $id('filterReset')?.addEventListener('click', () => { filtersToControls({}); onFilterChange(); });
+
+    /* ---------- Site eligibility on click ---------- */
+    if (window.SiteEligibility) {
+      map.on('click', async (e) => {
+        const r = await window.SiteEligibility.lookupPoint(e.latlng.lat, e.latlng.lng);
+        if (!r) return;
+        const el = buildEligibilityPopup(r);
+        L.popup({maxWidth:320}).setLatLng(e.latlng).setContent(el).openOn(map);
+        // QCT polygons carry the tract; elsewhere ask TIGERweb once the popup is open
+        if (window.CensusGeo) addTractSnapshotButton(el, r.tractGeoid ? { GEOID: r.tractGeoid } : await tractAt(r.lat, r.lng));
+      });
+    }
+
+    /* ---------- State switching ---------- */
+    async function showState(st) {
+      current = st;
+      [stateLayer, countiesLayer, placesLayer, qctLayer, ddaLayer].forEach(l => { if (l) map.removeLayer(l); });
+      stateLayer = countiesLayer = placesLayer = qctLayer = ddaLayer = null;
+      qctPromise = ddaPromise = null;
+      lihtcIndex = null;
+      lihtcShown = new Uint32Array(0);
+      lihtcHorizons = null;
+      lihtcGroup.clearLayers();
+      if (window.SiteEligibility) window.SiteEligibility.clearLayers(st);
+
+      const title = $id('mapTitle');
+      if (title) title.textContent = `${st.name} LIHTC Opportunity Zones Map`;
+      const picker = $id('mapState');
+      if (picker) picker.value = st.abbr;
+
+      fitState(st);
+      await loadBoundaries(st);
+      await Promise.allSettled([loadPlaces(st), loadLIHTC(st)]);
+      if (st !== current) return;
+      if ($id('layerQCT')?.checked) syncQCT();
+      if ($id('layerDDA')?.checked) syncDDA();
+      // Filters from a shared link that need the polygon layers
+      if (filters.qct || filters.dda) {
+        await Promise.all([filters.qct && ensureQCT(), filters.dda && ensureDDA()]);
+        if (st === current) renderLIHTC();
+      }
+    }
+
+    const picker = $id('mapState');
+    if (picker) {
+      if (!picker.options.length) {
+        Object.keys(STATES)
+          .sort((a, b) => STATES[a][1].localeCompare(STATES[b][1]))
+          .forEach(abbr => picker.add(new Option(STATES[abbr][1], abbr)));
+      }
+      picker.addEventListener('change', () => {
+        const st = resolveState(picker.value);
+        if (!st || (current && st.abbr === current.abbr)) return;
+        const url = new URL(window.location.href);
+        url.searchParams.set('state', st.abbr);
+        history.replaceState(null, '', url);
+        showState(st);
+      });
+    }
 
     /* ---------- Kick off ---------- */
-    await Promise.allSettled([loadPlaces(), loadLIHTC()]);
-    if ($id('layerQCT')?.checked) syncQCT();
-    if ($id('layerDDA')?.checked) syncDDA();
+    await showState(initialState());
 
     setTimeout(() => map.invalidateSize(), 300);
     window.addEventListener('resize', () => map.invalidateSize());
@@ -259,8 +259,10 @@ document.addEventListener('DOMContentLoaded', async function() {
             
             if (hudData) {
                 let total = 0;
+                // HUD aggregates carry one year's total; the sample fallback only a cumulative figure
                 for (const state in hudData.stateAllocations) {
-                    total += hudData.stateAllocations[state].total;
+                    const s = hudData.stateAllocations[state];
+                    total += Number(s.total ?? s.cumulative) || 0;
                 }
                 const totalEl = document.getElementById('total-allocations');
                 if (totalEl) totalEl.textContent = '$' + (total / 1000000000).toFixed(1) + 'B';
@@ -0,0 +1,222 @@
+// Persistent Data Cache - shared by LIHTCDataService and DataAPIIntegrations
+// IndexedDB store with a localStorage fallback (and in-memory only when neither exists).
+// Each entry records its fetch time, source URL and schema version; stale entries are
+// served immediately while a background revalidation refreshes them.
+
+class PersistentDataCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'lihtc-data-cache';
+        this.storeName = 'entries';
+        this.storagePrefix = 'lihtc-cache:';
+        this.maxAge = options.maxAge || 3600000; // 1 hour before an entry is considered stale
+        this.memory = new Map();
+        this.inFlight = new Map();
+        this.backend = null;
+        this.dbPromise = null;
+    }
+
+    // Pick the best available storage backend once
+    async ready() {
+        if (this.backend) return this.backend;
+
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                await this.openDB();
+                this.backend = 'indexeddb';
+                return this.backend;
+            } catch (error) {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', error && error.message);
+            }
+        }
+
+        try {
+            if (typeof localStorage !== 'undefined') {
+                const probe = this.storagePrefix + '__probe';
+                localStorage.setItem(probe, '1');
+                localStorage.removeItem(probe);
+                this.backend = 'localstorage';
+                return this.backend;
+            }
+        } catch (_) { /* private mode / quota */ }
+
+        this.backend = 'memory';
+        return this.backend;
+    }
+
+    openDB() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        });
+
+        return this.dbPromise;
+    }
+
+    async idb(mode, action) {
+        const db = await this.openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = action(tx.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async readEntry(key) {
+        if (this.memory.has(key)) return this.memory.get(key);
+
+        const backend = await this.ready();
+        let entry = null;
+
+        try {
+            if (backend === 'indexeddb') {
+                entry = await this.idb('readonly', store => store.get(key)) || null;
+            } else if (backend === 'localstorage') {
+                const raw = localStorage.getItem(this.storagePrefix + key);
+                entry = raw ? JSON.parse(raw) : null;
+            }
+        } catch (error) {
+            console.warn('Cache read failed:', key, error && error.message);
+        }
+
+        if (entry) this.memory.set(key, entry);
+        return entry;
+    }
+
+    async writeEntry(entry) {
+        this.memory.set(entry.key, entry);
+        const backend = await this.ready();
+
+        try {
+            if (backend === 'indexeddb') {
+                await this.idb('readwrite', store => store.put(entry));
+            } else if (backend === 'localstorage') {
+                localStorage.setItem(this.storagePrefix + entry.key, JSON.stringify(entry));
+            }
+        } catch (error) {
+            console.warn('Cache write failed:', entry.key, error && error.message);
+        }
+    }
+
+    // Returns { data, fetchedAt, sourceUrl, schemaVersion, stale } or null.
+    // Entries written under a different schema version are expired and removed.
+    async get(key, options = {}) {
+        const entry = await this.readEntry(key);
+        if (!entry) return null;
+
+        if (options.schemaVersion !== undefined && entry.schemaVersion !== options.schemaVersion) {
+            await this.delete(key);
+            return null;
+        }
+
+        const maxAge = options.maxAge || this.maxAge;
+        return {
+            data: entry.data,
+            fetchedAt: entry.fetchedAt,
+            sourceUrl: entry.sourceUrl,
+            schemaVersion: entry.schemaVersion,
+            stale: (Date.now() - entry.fetchedAt) > maxAge
+        };
+    }
+
+    async set(key, data, options = {}) {
+        const entry = {
+            key: key,
+            data: data,
+            fetchedAt: Date.now(),
+            sourceUrl: options.sourceUrl || null,
+            schemaVersion: options.schemaVersion !== undefined ? options.schemaVersion : null
+        };
+        await this.writeEntry(entry);
+        return entry;
+    }
+
+    async delete(key) {
+        this.memory.delete(key);
+        const backend = await this.ready();
+
+        try {
+            if (backend === 'indexeddb') {
+                await this.idb('readwrite', store => store.delete(key));
+            } else if (backend === 'localstorage') {
+                localStorage.removeItem(this.storagePrefix + key);
+            }
+        } catch (error) {
+            console.warn('Cache delete failed:', key, error && error.message);
+        }
+    }
+
+    async clear() {
+        this.memory.clear();
+        const backend = await this.ready();
+
+        if (backend === 'indexeddb') {
+            await this.idb('readwrite', store => store.clear());
+        } else if (backend === 'localstorage') {
+            Object.keys(localStorage)
+                .filter(k => k.startsWith(this.storagePrefix))
+                .forEach(k => localStorage.removeItem(k));
+        }
+    }
+
+    // Run a background refresh for a key, de-duplicated across callers in this page
+    // (inFlight is per tab; two tabs may each revalidate the same key)
+    revalidate(key, fetcher) {
+        if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+        const task = Promise.resolve()
+            .then(fetcher)
+            .catch(error => {
+                console.warn('Background revalidation failed:', key, error && error.message);
+                return null;
+            })
+            .finally(() => this.inFlight.delete(key));
+
+        this.inFlight.set(key, task);
+        return task;
+    }
+
+    // Stale-while-revalidate: cached data is returned at once; a stale entry
+    // also triggers `fetcher` in the background, which is expected to call set().
+    async getStaleWhileRevalidate(key, fetcher, options = {}) {
+        const cached = await this.get(key, options);
+        if (!cached) return null;
+
+        if (cached.stale && typeof fetcher === 'function') this.revalidate(key, fetcher);
+        return cached.data;
+    }
+
+    // Map-like view over the shared store for modules that keep a simple key/value cache.
+    // There is no fetcher to revalidate with, so entries past maxAge read as missing and
+    // the caller fetches and set()s a fresh copy.
+    namespace(options = {}) {
+        const cache = this;
+        return {
+            get: async key => {
+                const cached = await cache.get(key, options);
+                return cached && !cached.stale ? cached.data : null;
+            },
+            set: (key, data, sourceUrl) => cache.set(key, data, { ...options, sourceUrl }),
+            delete: key => cache.delete(key)
+        };
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.LIHTCDataCache = window.LIHTCDataCache || new PersistentDataCache();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PersistentDataCache };
+}
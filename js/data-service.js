@@ -3,8 +3,18 @@
 
 class LIHTCDataService {
     constructor() {
-        this.cache = new Map();
+        // Shared IndexedDB/localStorage cache (js/data-cache.js); bump the schema
+        // version whenever the shape of a cached payload changes
+        this.cache = (typeof window !== 'undefined' && window.LIHTCDataCache) || null;
         this.cacheTimeout = 3600000; // 1 hour
+        this.cacheSchemaVersion = 3;
+        this.cacheSources = {
+            hud_allocations: 'data/hud-lihtc-projects.csv',
+            novoco_pricing: 'https://www.novoco.com/',
+            census_housing: 'https://api.census.gov/data/timeseries/eits/resconst',
+            state_hfa: 'https://www.chfainfo.com/',
+            coordinator_data: null
+        };
         this.updateInterval = 300000; // 5 minutes
         this.listeners = new Map();
         
@@ -59,74 +69,27 @@ class LIHTCDataService {
     }
 
     // HUD LIHTC Database Integration
-    async fetchHUDData() {
+    // Aggregates the project-level HUD file (js/hud-lihtc-database.js) for every
+    // state, DC and territory; falls back to the sample below if no snapshot is present.
+    async fetchHUDData(forceRefresh = false) {
         const cacheKey = 'hud_allocations';
-        const cached = this.getFromCache(cacheKey);
+        const cached = forceRefresh ? null : await this.getFromCache(cacheKey, () => this.fetchHUDData(true));
         
         if (cached) return cached;
 
         try {
-            // HUD provides downloadable datasets
-            // In production, you would parse their Excel/CSV files
-            // Example endpoint structure (hypothetical REST API wrapper)
-            
-            // For now, using enhanced sample data with Colorado
-            const data = {
-                stateAllocations: {
-                    'CA': { 
-                        total: 1842000000, 
-                        perCapita: 47, 
-                        projects: 312, 
-                        units: 42680,
-                        qap2026: { competitive: 856000000, nonCompetitive: 986000000 }
-                    },
-                    'NY': { 
-                        total: 1456000000, 
-                        perCapita: 75, 
-                        projects: 268, 
-                        units: 38120,
-                        qap2026: { competitive: 742000000, nonCompetitive: 714000000 }
-                    },
-                    'TX': { 
-                        total: 1289000000, 
-                        perCapita: 44, 
-                        projects: 294, 
-                        units: 45860,
-                        qap2026: { competitive: 589000000, nonCompetitive: 700000000 }
-                    },
-                    'CO': {
-                        total: 287000000,
-                        perCapita: 49,
-                        projects: 78,
-                        units: 8940,
-                        qap2026: { competitive: 145000000, nonCompetitive: 142000000 },
-                        metros: {
-                            'Denver-Aurora-Lakewood': { allocation: 178000000, projects: 48, units: 5820 },
-                            'Colorado Springs': { allocation: 42000000, projects: 12, units: 1340 },
-                            'Fort Collins': { allocation: 28000000, projects: 8, units: 890 },
-                            'Boulder': { allocation: 22000000, projects: 6, units: 620 },
-                            'Pueblo': { allocation: 17000000, projects: 4, units: 270 }
-                        },
-                        counties: {
-                            'Denver': 89000000,
-                            'Arapahoe': 45000000,
-                            'Jefferson': 38000000,
-                            'Adams': 32000000,
-                            'El Paso': 42000000,
-                            'Larimer': 28000000,
-                            'Boulder': 22000000
-                        }
-                    },
-                    'FL': { 
-                        total: 987000000, 
-                        perCapita: 46, 
-                        projects: 221, 
-                        units: 32450,
-                        qap2026: { competitive: 478000000, nonCompetitive: 509000000 }
-                    }
-                },
-                timestamp: new Date().toISOString()
-            };
+            let data = null;
+            const hud = (typeof window !== 'undefined') ? window.HUDLIHTCDatabase : null;
+
+            if (hud) {
+                try {
+                    data = await hud.loadStateAllocations();
+                } catch (error) {
+                    console.warn('HUD LIHTC snapshot unavailable (run .github/workflows/fetch-hud-lihtc.yml), using sample data:', error.message);
+                }
+            }
+
+            if (!data) data = this.getSampleHUDData();
 
             this.setCache(cacheKey, data);
             this.notify('hud_allocations', data);
@@ -138,10 +101,87 @@ class LIHTCDataService {
         }
     }
 
+    // Parse a user-supplied LIHTCPUB.CSV and publish it to subscribers
+    async ingestHUDFile(file) {
+        const hud = (typeof window !== 'undefined') ? window.HUDLIHTCDatabase : null;
+        if (!hud) throw new Error('HUD LIHTC ingestion module (js/hud-lihtc-database.js) not loaded');
+
+        await hud.loadFile(file);
+        const data = await hud.loadStateAllocations();
+
+        this.setCache('hud_allocations', data);
+        this.notify('hud_allocations', data);
+        return data;
+    }
+
+    // Illustrative five-state sample used when no HUD snapshot is available. These are
+    // rounded all-years figures with no allocation year, so they are `cumulative`; the
+    // annual `total` and `perCapita` are not available.
+    getSampleHUDData() {
+        return {
+            stateAllocations: {
+                'CA': { 
+                    cumulative: 1842000000, 
+                    perCapita: null, 
+                    projects: 312, 
+                    units: 42680,
+                    qap2026: { competitive: 856000000, nonCompetitive: 986000000 }
+                },
+                'NY': { 
+                    cumulative: 1456000000, 
+                    perCapita: null, 
+                    projects: 268, 
+                    units: 38120,
+                    qap2026: { competitive: 742000000, nonCompetitive: 714000000 }
+                },
+                'TX': { 
+                    cumulative: 1289000000, 
+                    perCapita: null, 
+                    projects: 294, 
+                    units: 45860,
+                    qap2026: { competitive: 589000000, nonCompetitive: 700000000 }
+                },
+                'CO': {
+                    cumulative: 287000000,
+                    perCapita: null,
+                    projects: 78,
+                    units: 8940,
+                    qap2026: { competitive: 145000000, nonCompetitive: 142000000 },
+                    metros: {
+                        'Denver-Aurora-Lakewood': { allocation: 178000000, projects: 48, units: 5820 },
+                        'Colorado Springs': { allocation: 42000000, projects: 12, units: 1340 },
+                        'Fort Collins': { allocation: 28000000, projects: 8, units: 890 },
+                        'Boulder': { allocation: 22000000, projects: 6, units: 620 },
+                        'Pueblo': { allocation: 17000000, projects: 4, units: 270 }
+                    },
+                    counties: {
+                        'Denver': 89000000,
+                        'Arapahoe': 45000000,
+                        'Jefferson': 38000000,
+                        'Adams': 32000000,
+                        'El Paso': 42000000,
+                        'Larimer': 28000000,
+                        'Boulder': 22000000
+                    }
+                },
+                'FL': { 
+                    cumulative: 987000000, 
+                    perCapita: null, 
+                    projects: 221, 
+                    units: 32450,
+                    qap2026: { competitive: 478000000, nonCompetitive: 509000000 }
+                }
+            },
+            source: 'sample',
+            sample: true,
+            timestamp: new Date().toISOString()
+        };
+    }
+
     // Novoco Pricing Data
-    async fetchNovocoPricing() {
+    async fetchNovocoPricing(forceRefresh = false) {
         const cacheKey = 'novoco_pricing';
-        const cached = this.getFromCache(cacheKey);
+        const cached = forceRefresh ? null : await this.getFromCache(cacheKey, () => this.fetchNovocoPricing(true));
         
         if (cached) return cached;
 
@@ -188,9 +228,9 @@ class LIHTCDataService {
     }
 
     // Census Bureau Housing Starts
-    async fetchCensusData() {
+    async fetchCensusData(forceRefresh = false) {
         const cacheKey = 'census_housing';
-        const cached = this.getFromCache(cacheKey);
+        const cached = forceRefresh ? null : await this.getFromCache(cacheKey, () => this.fetchCensusData(true));
         
         if (cached) return cached;
 
@@ -236,9 +276,9 @@ class LIHTCDataService {
     }
 
     // State HFA Data (Colorado specific)
-    async fetchStateHFAData() {
+    async fetchStateHFAData(forceRefresh = false) {
         const cacheKey = 'state_hfa';
-        const cached = this.getFromCache(cacheKey);
+        const cached = forceRefresh ? null : await this.getFromCache(cacheKey, () => this.fetchStateHFAData(true));
         
         if (cached) return cached;
 
@@ -299,9 +339,9 @@ class LIHTCDataService {
     }
 
     // Additional data coordinators (NCSHA, HUD, etc.)
-    async fetchCoordinatorData() {
+    async fetchCoordinatorData(forceRefresh = false) {
         const cacheKey = 'coordinator_data';
-        const cached = this.getFromCache(cacheKey);
+        const cached = forceRefresh ? null : await this.getFromCache(cacheKey, () => this.fetchCoordinatorData(true));
         
         if (cached) return cached;
 
@@ -395,23 +435,21 @@ class LIHTCDataService {
     }
 
     // Cache management
-    getFromCache(key) {
-        const cached = this.cache.get(key);
-        if (!cached) return null;
-        
-        const age = Date.now() - cached.timestamp;
-        if (age > this.cacheTimeout) {
-            this.cache.delete(key);
-            return null;
-        }
-        
-        return cached.data;
+    // Backed by the shared persistent store (js/data-cache.js). Stale entries are
+    // returned immediately and `revalidate` refreshes them in the background.
+    async getFromCache(key, revalidate) {
+        if (!this.cache) return null;
+        return this.cache.getStaleWhileRevalidate(key, revalidate, {
+            maxAge: this.cacheTimeout,
+            schemaVersion: this.cacheSchemaVersion
+        });
     }
 
     setCache(key, data) {
-        this.cache.set(key, {
-            data: data,
-            timestamp: Date.now()
+        if (!this.cache) return Promise.resolve(null);
+        return this.cache.set(key, data, {
+            sourceUrl: (data && typeof data.source === 'string' && data.source !== 'sample') ? data.source : (this.cacheSources[key] || null),
+            schemaVersion: this.cacheSchemaVersion
         });
     }
 
@@ -4,7 +4,7 @@ export async function loadData() {
     ? "/lihtc-analytics-hub"
     : "";
 
-  const allocations = await fetch(`${base}/data/allocations.json`)
+  const allocations = await fetch(`${base}/data/state-allocations.json`)
     .then(r => {
       if (!r.ok) throw new Error("Allocations failed");
       return r.json();
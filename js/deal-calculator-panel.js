@@ -0,0 +1,178 @@
+/**
+ * deal-calculator-panel.js — Colorado Deep Dive deal sizing form
+ * Binds the #dealCalculator form to LIHTCDealCalculator and renders
+ * basis, credits, equity and the sources & uses gap.
+ * Other modules can set the QCT/DDA flags via window.DealCalculatorPanel.setLocation().
+ */
+(function () {
+  'use strict';
+
+  function $id(id) { return document.getElementById(id); }
+
+  const money = (n) => (Number.isFinite(n) ? '$' + Math.round(n).toLocaleString() : '—');
+  const pct = (n, d = 1) => (Number.isFinite(n) ? (n * 100).toFixed(d) + '%' : '—');
+
+  function num(id) {
+    const el = $id(id);
+    const v = el ? Number(String(el.value).replace(/[$,\s]/g, '')) : NaN;
+    return Number.isFinite(v) ? v : 0;
+  }
+
+  function readInputs() {
+    return {
+      creditType: $id('dealCreditType')?.value || '9%',
+      costs: {
+        land: num('dealLand'),
+        buildingAcquisition: num('dealAcquisition'),
+        construction: num('dealConstruction'),
+        eligibleSoftCosts: num('dealSoftEligible'),
+        ineligibleSoftCosts: num('dealSoftIneligible'),
+        developerFee: num('dealDevFee'),
+        reserves: num('dealReserves')
+      },
+      federalGrants: num('dealFederalGrants'),
+      units: {
+        totalUnits: num('dealTotalUnits'),
+        lowIncomeUnits: num('dealLIUnits'),
+        totalSqft: num('dealTotalSqft'),
+        lowIncomeSqft: num('dealLISqft')
+      },
+      qct: !!$id('dealQCT')?.checked,
+      dda: !!$id('dealDDA')?.checked,
+      price: num('dealPrice') || null,
+      sources: {
+        permanentLoan: num('dealPermLoan'),
+        softLoans: num('dealSoftLoans'),
+        deferredDeveloperFee: num('dealDeferredFee')
+      }
+    };
+  }
+
+  function row(label, value, strong) {
+    const tr = document.createElement('tr');
+    const th = document.createElement('td');
+    const td = document.createElement('td');
+    th.textContent = label;
+    td.textContent = value;
+    td.style.textAlign = 'right';
+    if (strong) { th.style.fontWeight = '700'; td.style.fontWeight = '700'; }
+    tr.append(th, td);
+    return tr;
+  }
+
+  function render(r) {
+    const body = $id('dealResults');
+    if (!body) return;
+    body.innerHTML = '';
+
+    const af = r.applicableFraction;
+    [
+      ['Total development cost', money(r.uses.total), true],
+      ['Eligible basis (construction / rehab)', money(r.eligibleBasis.construction)],
+      ['Eligible basis (acquisition)', money(r.eligibleBasis.acquisition)],
+      ['Basis boost', r.boost.applied ? `130% — ${r.boost.reason}` : 'None'],
+      ['Unit fraction', pct(af.unitFraction)],
+      ['Floor space fraction', pct(af.floorSpaceFraction)],
+      [`Applicable fraction (${af.test} test)`, pct(af.value)],
+      ['Qualified basis', money(r.qualifiedBasis.total), true],
+      [`Credit rate (${r.creditType})`, pct(r.credits.rate, 2)],
+      ['Annual credits', money(r.credits.annual)],
+      ['Ten-year credits', money(r.credits.tenYear)],
+      [`Equity @ $${r.equity.price.toFixed(3)}`, money(r.equity.amount), true],
+      ...r.sources.items.filter(s => s.key !== 'equity').map(s => [s.label, money(s.amount)]),
+      ['Total sources', money(r.sources.total), true],
+      [r.gap > 0 ? 'Funding gap' : 'Surplus', money(Math.abs(r.gap)), true]
+    ].forEach(([label, value, strong]) => body.appendChild(row(label, value, strong)));
+
+    const gapEl = $id('dealGap');
+    if (gapEl) {
+      gapEl.textContent = r.gap > 0
+        ? `Gap of ${money(r.gap)} (${pct(r.gap / r.uses.total)} of TDC) remains after LIHTC equity.`
+        : `Sources exceed uses by ${money(-r.gap)}.`;
+      gapEl.style.color = r.gap > 0 ? 'var(--bad)' : 'var(--good)';
+    }
+  }
+
+  async function update() {
+    const calc = window.LIHTCDealCalculator;
+    if (!calc) return;
+
+    const inputs = readInputs();
+    const priceEl = $id('dealPrice');
+    if (priceEl && !inputs.price) {
+      priceEl.placeholder = (await calc.getCurrentPrice(inputs.creditType)).toFixed(3);
+    }
+    render(await calc.calculateAtCurrentPrice(inputs));
+  }
+
+  // Short description of a SiteEligibility result for the location label
+  function describe(loc) {
+    if (!loc) return '';
+    if (loc.label) return loc.label;
+    const parts = [];
+    if (loc.geocode) parts.push(`${loc.geocode.matched || loc.address} (${loc.geocode.precision} match)`);
+    else if (Number.isFinite(loc.lat)) parts.push(`${loc.lat.toFixed(4)}, ${loc.lng.toFixed(4)}`);
+    if (loc.qct) parts.push(`QCT ${loc.tractGeoid || ''}`.trim());
+    if (loc.dda) parts.push(loc.ddaName || 'DDA');
+    if (loc.qct === false && loc.dda === false) parts.push('not in a QCT or DDA');
+    if (loc.sources && window.SiteEligibility) parts.push(window.SiteEligibility.sourceSummary(loc));
+    return parts.join(' · ');
+  }
+
+  // Set the QCT/DDA flags (a SiteEligibility result, e.g. from a map click) and recalculate.
+  // A null flag (layer not loaded or only approximate) leaves that checkbox as it is.
+  function setLocation(loc) {
+    if ($id('dealQCT') && loc && loc.qct !== null && loc.qct !== undefined) $id('dealQCT').checked = !!loc.qct;
+    if ($id('dealDDA') && loc && loc.dda !== null && loc.dda !== undefined) $id('dealDDA').checked = !!loc.dda;
+    const label = $id('dealLocation');
+    if (label) label.textContent = describe(loc);
+    update();
+  }
+
+  async function lookupAddress() {
+    const address = $id('dealAddress')?.value.trim();
+    const label = $id('dealLocation');
+    if (!address || !window.SiteEligibility) return;
+
+    if (label) label.textContent = 'Looking up…';
+    const result = await window.SiteEligibility.lookupAddress(address);
+    if (!result) {
+      if (label) label.textContent = 'Address not found in the local geocoder table';
+      return;
+    }
+    // The map holds one state's QCT/DDA layers; a site elsewhere cannot be tested against them
+    if (result.outsideState) {
+      const elsewhere = result.geocode.state ? `in ${result.geocode.state}` : 'outside the map';
+      if (label) label.textContent = `${result.geocode.matched || address} is ${elsewhere}, but the map shows ${result.outsideState} — QCT/DDA unchanged; switch the map's state to check it`;
+      return;
+    }
+    // A city centroid cannot place a site in a tract: report it and leave the flags alone
+    if (result.geocode.precision === 'place') {
+      if (label) label.textContent = `${result.geocode.matched || address} (city centroid only) — QCT/DDA unchanged; click the exact site on the map`;
+      return;
+    }
+    setLocation(result);
+  }
+
+  function init() {
+    const form = $id('dealCalculator');
+    if (!form) return;
+
+    form.addEventListener('input', update);
+    form.addEventListener('change', update);
+    form.addEventListener('submit', (e) => { e.preventDefault(); update(); });
+    $id('dealLookup')?.addEventListener('click', lookupAddress);
+    $id('dealAddress')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') { e.preventDefault(); lookupAddress(); }
+    });
+    update();
+  }
+
+  window.DealCalculatorPanel = { setLocation, update };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
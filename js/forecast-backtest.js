@@ -0,0 +1,192 @@
+// Forecast Backtesting Module
+// Rolling-origin evaluation of the EconometricForecaster models against a historical series.
+// Reports MAE, RMSE, MAPE and 95% interval coverage per model and forecast horizon.
+
+class ForecastBacktester {
+    constructor(forecaster) {
+        this.forecaster = forecaster || (typeof window !== 'undefined' ? window.EconometricForecaster : null);
+
+        this.models = {
+            arima: { label: 'ARIMA(2,1,1)', needsCompanion: false },
+            var: { label: 'VAR(2)', needsCompanion: true },
+            regression: { label: 'Regression', needsCompanion: false },
+            naive: { label: 'Naive (random walk)', needsCompanion: false }
+        };
+    }
+
+    // Normalize to [{ date, value }]. Accepts numbers, { date, value } (FRED
+    // observations, values may be strings), Novoco quarters ({ date, nine }) or
+    // a FRED series object ({ observations: [...] }).
+    toSeries(input, field) {
+        const rows = Array.isArray(input) ? input : (input && input.observations) || [];
+
+        return rows.map((row, i) => {
+            if (typeof row === 'number') return { date: String(i), value: row };
+            const raw = field ? row[field] : (row.value !== undefined ? row.value : (row.nine !== undefined ? row.nine : row.price));
+            return { date: row.date || String(i), value: Number(raw) };
+        }).filter(d => d.value !== null && Number.isFinite(d.value));
+    }
+
+    // Align a companion series to the target by date (companion value carried from the same date)
+    alignCompanion(target, companion) {
+        if (!companion || !companion.length) return null;
+
+        const byDate = new Map(companion.map(d => [d.date, d.value]));
+        const aligned = target.map(d => byDate.get(d.date));
+        if (aligned.some(v => v === undefined)) {
+            // Fall back to positional alignment on the common tail
+            if (companion.length < target.length) return null;
+            return companion.slice(-target.length).map(d => d.value);
+        }
+        return aligned;
+    }
+
+    forecastModel(model, train, companionTrain, horizon) {
+        const f = this.forecaster;
+
+        if (model === 'arima') {
+            return f.forecastARIMA(train, horizon);
+        }
+
+        if (model === 'var') {
+            return f.forecastVAR({ target: train, companion: companionTrain }, horizon, 2).target;
+        }
+
+        if (model === 'regression') {
+            // Regress on the companion series when available, otherwise on a time trend
+            const X = companionTrain
+                ? companionTrain.map(v => [v])
+                : train.map((_, i) => [i + 1]);
+            return f.forecastWithRegressors(train, X, horizon).map(p => ({
+                period: p.period,
+                point: p.predicted,
+                lower: p.lower,
+                upper: p.upper
+            }));
+        }
+
+        // Naive benchmark: last value, bands from the volatility of changes
+        const last = train[train.length - 1];
+        const sd = f.calculateStdError(f.calculateDifferences(train)) || 0;
+        return Array.from({ length: horizon }, (_, i) => ({
+            period: i + 1,
+            point: last,
+            lower: last - 1.96 * sd * Math.sqrt(i + 1),
+            upper: last + 1.96 * sd * Math.sqrt(i + 1)
+        }));
+    }
+
+    // Rolling-origin backtest. options:
+    //   horizon   - maximum steps ahead to score (default 4)
+    //   minTrain  - observations in the first training window (default max(8, half the series))
+    //   step      - origins advance by this many observations (default 1)
+    //   companion - second series used by VAR and regression
+    //   models    - subset of Object.keys(this.models)
+    run(seriesInput, options = {}) {
+        if (!this.forecaster) throw new Error('EconometricForecaster (js/forecasting.js) not loaded');
+
+        const series = this.toSeries(seriesInput);
+        const values = series.map(d => d.value);
+        const horizon = options.horizon || 4;
+        const step = options.step || 1;
+        const minTrain = options.minTrain || Math.max(8, Math.floor(values.length / 2));
+        const companion = options.companion ? this.alignCompanion(series, this.toSeries(options.companion)) : null;
+        const modelKeys = (options.models || Object.keys(this.models))
+            .filter(m => this.models[m] && (!this.models[m].needsCompanion || companion));
+
+        if (values.length < minTrain + 1) {
+            throw new Error(`Backtest needs at least ${minTrain + 1} observations (got ${values.length})`);
+        }
+
+        const errors = {};
+        modelKeys.forEach(m => {
+            errors[m] = Array.from({ length: horizon }, () => []);
+        });
+
+        let origins = 0;
+        for (let origin = minTrain; origin < values.length; origin += step) {
+            const train = values.slice(0, origin);
+            const companionTrain = companion ? companion.slice(0, origin) : null;
+            const steps = Math.min(horizon, values.length - origin);
+            origins++;
+
+            for (const m of modelKeys) {
+                let forecast;
+                try {
+                    forecast = this.forecastModel(m, train, companionTrain, steps);
+                } catch (error) {
+                    console.warn(`Backtest: ${m} failed at origin ${series[origin - 1].date}:`, error.message);
+                    continue;
+                }
+
+                for (let h = 0; h < steps; h++) {
+                    const actual = values[origin + h];
+                    const f = forecast[h];
+                    if (!f || !Number.isFinite(f.point)) continue;
+                    errors[m][h].push({ actual, point: f.point, lower: f.lower, upper: f.upper });
+                }
+            }
+        }
+
+        const models = {};
+        for (const m of modelKeys) {
+            const horizons = errors[m].map((obs, h) => ({ horizon: h + 1, ...this.score(obs) }));
+            models[m] = {
+                label: this.models[m].label,
+                horizons,
+                overall: this.score(errors[m].flat())
+            };
+        }
+
+        const ranked = modelKeys
+            .filter(m => Number.isFinite(models[m].overall.rmse))
+            .sort((a, b) => models[a].overall.rmse - models[b].overall.rmse);
+
+        return {
+            observations: values.length,
+            start: series[0].date,
+            end: series[series.length - 1].date,
+            origins,
+            horizon,
+            minTrain,
+            models,
+            best: ranked[0] || null
+        };
+    }
+
+    score(obs) {
+        const n = obs.length;
+        if (!n) return { n: 0, mae: null, rmse: null, mape: null, coverage: null };
+
+        let abs = 0;
+        let sq = 0;
+        let pct = 0;
+        let pctN = 0;
+        let covered = 0;
+
+        for (const o of obs) {
+            const e = o.actual - o.point;
+            abs += Math.abs(e);
+            sq += e * e;
+            if (o.actual !== 0) { pct += Math.abs(e / o.actual); pctN++; }
+            if (o.actual >= o.lower && o.actual <= o.upper) covered++;
+        }
+
+        return {
+            n,
+            mae: abs / n,
+            rmse: Math.sqrt(sq / n),
+            mape: pctN ? (pct / pctN) * 100 : null,
+            coverage: covered / n
+        };
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.ForecastBacktester = new ForecastBacktester();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ForecastBacktester };
+}
@@ -8,6 +8,9 @@ class EconometricForecaster {
             housingStarts: null,
             allocation: null
         };
+
+        // Default seed for simulations so repeated runs give identical output
+        this.seed = 20260101;
     }
 
     // ARIMA (AutoRegressive Integrated Moving Average) for pricing
@@ -15,39 +18,51 @@ class EconometricForecaster {
         // Extract values
         const values = historicalData.map(d => d.nine || d.price);
         
+        return this.forecastARIMA(values, periods).map(f => ({
+            period: f.period,
+            point: Math.max(0.75, Math.min(0.98, f.point)),
+            lower: Math.max(0.70, f.lower),
+            upper: Math.min(1.00, f.upper),
+            confidence: f.confidence
+        }));
+    }
+
+    // ARIMA(2,1,1) on an arbitrary numeric series, without pricing bounds
+    forecastARIMA(values, periods = 8) {
         // Calculate differences (integration)
         const differences = this.calculateDifferences(values);
         
-        // Fit AR model
-        const arCoefficients = this.fitAR(differences, 2);
+        // Fit AR model (Yule-Walker)
+        const arModel = this.fitARModel(differences, 2);
         
-        // Fit MA model
-        const maCoefficients = this.fitMA(differences, 1);
+        // Fit MA model on the AR residuals
+        const maCoefficients = this.fitMA(arModel.residuals, 1);
         
         // Generate forecast
         const forecast = [];
         let lastValue = values[values.length - 1];
+        const history = differences.slice();
+        const lastResidual = arModel.residuals.length ? arModel.residuals[arModel.residuals.length - 1] : 0;
+        const stderr = arModel.sigma > 0 ? arModel.sigma : this.calculateStdError(differences);
+        const tValue = 1.96; // 95% confidence
         
         for (let i = 0; i < periods; i++) {
             // AR component
-            const arTerm = this.calculateARTerm(differences.slice(-2), arCoefficients);
+            const arTerm = arModel.intercept + this.calculateARTerm(history.slice(-arModel.order), arModel.coefficients);
             
-            // MA component (using residuals)
-            const maTerm = this.calculateMATerm([0], maCoefficients); // Simplified
+            // MA component (future shocks have zero expectation)
+            const maTerm = this.calculateMATerm(i === 0 ? [lastResidual] : [0], maCoefficients);
             
             // Combine
             const change = arTerm + maTerm;
             const predicted = lastValue + change;
-            
-            // Add uncertainty bands
-            const stderr = this.calculateStdError(differences);
-            const tValue = 1.96; // 95% confidence
+            history.push(change);
             
             forecast.push({
                 period: i + 1,
-                point: Math.max(0.75, Math.min(0.98, predicted)),
-                lower: Math.max(0.70, predicted - tValue * stderr * Math.sqrt(i + 1)),
-                upper: Math.min(1.00, predicted + tValue * stderr * Math.sqrt(i + 1)),
+                point: predicted,
+                lower: predicted - tValue * stderr * Math.sqrt(i + 1),
+                upper: predicted + tValue * stderr * Math.sqrt(i + 1),
                 confidence: 0.95
             });
             
@@ -66,8 +81,7 @@ class EconometricForecaster {
             allocation: data.allocation ? data.allocation.map(d => d.total / 1000000000) : []
         };
         
-        // Estimate VAR model
-        const varModel = this.estimateVAR(variables, 2);
+        const paths = this.forecastVAR(variables, periods, 2);
         
         // Generate forecasts
         const forecasts = {
@@ -76,52 +90,82 @@ class EconometricForecaster {
             allocation: []
         };
         
-        let lastValues = {
-            pricing: variables.pricing.slice(-2),
-            starts: variables.starts.slice(-2),
-            allocation: variables.allocation.slice(-2)
-        };
+        // estimateVAR drops empty series; their forecasts stay empty arrays
+        for (let i = 0; i < periods; i++) {
+            if (paths.pricing) {
+                forecasts.pricing.push({
+                    period: i + 1,
+                    value: Math.max(0.75, Math.min(0.98, paths.pricing[i].point))
+                });
+            }
+            
+            if (paths.starts) {
+                forecasts.starts.push({
+                    period: i + 1,
+                    value: Math.max(100, paths.starts[i].point * 1000) // Denormalize
+                });
+            }
+            
+            if (paths.allocation) {
+                forecasts.allocation.push({
+                    period: i + 1,
+                    value: Math.max(10, paths.allocation[i].point * 1000000000) // Denormalize
+                });
+            }
+        }
+        
+        return forecasts;
+    }
+
+    // VAR forecast for any set of named series. Returns { name: [{ period, point, lower, upper }] };
+    // intervals use each equation's residual standard error scaled by sqrt(horizon).
+    forecastVAR(variables, periods = 8, lags = 2) {
+        // Estimate VAR model (equation-by-equation OLS)
+        const varModel = this.estimateVAR(variables, lags);
+        this.models.housingStarts = varModel;
+        const names = varModel.variables;
+        const tValue = 1.96;
+        
+        const paths = {};
+        const lastValues = {};
+        names.forEach(name => {
+            paths[name] = [];
+            lastValues[name] = variables[name].slice(-varModel.lags);
+        });
         
         for (let i = 0; i < periods; i++) {
             const predictions = {};
             
-            // Forecast each variable considering others
-            for (const varName in lastValues) {
-                let predicted = 0;
+            // Forecast each variable from the lags of every variable
+            for (const varName of names) {
+                const equation = varModel.equations[varName];
+                let predicted = equation.intercept;
                 
-                // Add lagged effects from all variables
-                for (const otherVar in lastValues) {
-                    const coef = varModel[varName][otherVar] || [0.8, -0.1];
-                    predicted += coef[0] * lastValues[otherVar][1] + 
-                                coef[1] * lastValues[otherVar][0];
+                for (const otherVar of names) {
+                    const coef = equation.coefficients[otherVar];
+                    const lagged = lastValues[otherVar];
+                    for (let l = 0; l < coef.length; l++) {
+                        predicted += coef[l] * lagged[lagged.length - 1 - l];
+                    }
                 }
                 
                 predictions[varName] = predicted;
-                
-                // Update lag structure
-                lastValues[varName] = [lastValues[varName][1], predicted];
             }
             
-            // Store forecasts
-            forecasts.pricing.push({
-                period: i + 1,
-                value: Math.max(0.75, Math.min(0.98, predictions.pricing))
-            });
-            
-            forecasts.starts.push({
-                period: i + 1,
-                value: Math.max(100, predictions.starts * 1000) // Denormalize
-            });
-            
-            if (variables.allocation.length > 0) {
-                forecasts.allocation.push({
+            // Update lag structure once every equation has been evaluated
+            for (const varName of names) {
+                lastValues[varName] = [...lastValues[varName].slice(1), predictions[varName]];
+                const band = tValue * (varModel.equations[varName].sigma || 0) * Math.sqrt(i + 1);
+                paths[varName].push({
                     period: i + 1,
-                    value: Math.max(10, predictions.allocation * 1000000000) // Denormalize
+                    point: predictions[varName],
+                    lower: predictions[varName] - band,
+                    upper: predictions[varName] + band
                 });
             }
         }
         
-        return forecasts;
+        return paths;
     }
 
     // Regression with external factors
@@ -173,6 +217,11 @@ class EconometricForecaster {
             historicalData.allocation || [250, 265, 272, 280, 287]
         );
         
+        // Pricing path from the fitted ARIMA model when a price history is supplied
+        const pricingPath = historicalData.pricing && historicalData.pricing.length > 4
+            ? this.forecastPricing(historicalData.pricing.map(p => (typeof p === 'number' ? { price: p } : p)), periods)
+            : null;
+        
         for (let i = 1; i <= periods; i++) {
             // Allocation grows with population and policy emphasis
             const growthRate = 0.035; // 3.5% annually
@@ -188,7 +237,9 @@ class EconometricForecaster {
             // Pricing follows national trends with regional adjustment
             const nationalBase = 0.84;
             const regionalPremium = 0.00; // Colorado at par
-            const price = nationalBase + regionalPremium + (Math.random() - 0.5) * 0.02;
+            const price = pricingPath
+                ? pricingPath[i - 1].point + regionalPremium
+                : nationalBase + regionalPremium;
             
             forecast.pricing.push({
                 quarter: i,
@@ -232,19 +283,68 @@ class EconometricForecaster {
     }
 
     fitAR(data, order) {
-        // Simplified AR fitting (Yule-Walker equations)
-        const coefficients = [];
-        for (let i = 0; i < order; i++) {
-            // Calculate autocorrelation-based coefficient
-            const coef = this.calculateAutocorrelation(data, i + 1);
-            coefficients.push(coef * 0.8); // Dampening factor
+        return this.fitARModel(data, order).coefficients;
+    }
+
+    // AR(p) estimation by Yule-Walker (default) or conditional least squares.
+    // Returns { order, coefficients, mean, intercept, sigma, residuals }.
+    fitARModel(data, order, method = 'yule-walker') {
+        const n = data.length;
+        const mean = n ? data.reduce((a, b) => a + b, 0) / n : 0;
+        let p = Math.max(0, Math.min(order, n - 2));
+        let coefficients = Array(p).fill(0);
+        let intercept = mean;
+
+        if (p > 0 && method === 'ols') {
+            const y = data.slice(p);
+            const X = y.map((_, t) => Array.from({ length: p }, (_, l) => data[t + p - 1 - l]));
+            const fit = this.ols(y, X);
+            if (fit) {
+                coefficients = fit.coefficients;
+                intercept = fit.intercept;
+            }
+        } else if (p > 0) {
+            // Biased sample autocovariances keep the Toeplitz system positive definite
+            const gamma = Array.from({ length: p + 1 }, (_, lag) => {
+                let sum = 0;
+                for (let t = lag; t < n; t++) sum += (data[t] - mean) * (data[t - lag] - mean);
+                return sum / n;
+            });
+
+            if (gamma[0] > 0) {
+                const R = Array.from({ length: p }, (_, i) => Array.from({ length: p }, (_, j) => gamma[Math.abs(i - j)]));
+                const phi = this.solveLinearSystem(R, gamma.slice(1));
+                if (phi) coefficients = phi;
+            }
+            intercept = mean * (1 - coefficients.reduce((a, b) => a + b, 0));
         }
-        return coefficients;
+
+        const residuals = [];
+        for (let t = p; t < n; t++) {
+            let fitted = intercept;
+            for (let l = 0; l < p; l++) fitted += coefficients[l] * data[t - 1 - l];
+            residuals.push(data[t] - fitted);
+        }
+
+        const dof = Math.max(1, residuals.length - p - 1);
+        const sigma = Math.sqrt(residuals.reduce((sum, e) => sum + e * e, 0) / dof);
+
+        return { order: p, coefficients, mean, intercept, sigma, residuals };
     }
 
+    // Method-of-moments MA fit: theta solves rho1 = theta / (1 + theta^2).
+    // Only the first coefficient is identified this way; higher orders stay at zero.
     fitMA(data, order) {
-        // Simplified MA fitting
-        return Array(order).fill(0.3); // Conservative MA coefficients
+        const coefficients = Array(order).fill(0);
+        if (!order || data.length < 3) return coefficients;
+
+        const rho = this.calculateAutocorrelation(data, 1);
+        if (!Number.isFinite(rho) || rho === 0) return coefficients;
+
+        // |rho1| > 0.5 has no invertible solution; clamp to the boundary
+        const r = Math.max(-0.499, Math.min(0.499, rho));
+        coefficients[0] = (1 - Math.sqrt(1 - 4 * r * r)) / (2 * r);
+        return coefficients;
     }
 
     calculateARTerm(laggedValues, coefficients) {
@@ -285,56 +385,188 @@ class EconometricForecaster {
         return Math.sqrt(variance);
     }
 
+    // VAR(p) by equation-by-equation OLS on the most recent common sample.
+    // Empty series are dropped; the lag order is reduced until every equation
+    // is identified, and univariate AR is used if even VAR(1) is not.
     estimateVAR(variables, lags) {
-        // Simplified VAR estimation
-        const model = {};
-        
-        for (const targetVar in variables) {
-            model[targetVar] = {};
-            
-            for (const sourceVar in variables) {
-                // Estimate coefficients (simplified OLS)
-                const coef1 = 0.7 + Math.random() * 0.2;
-                const coef2 = -0.1 + Math.random() * 0.1;
-                model[targetVar][sourceVar] = [coef1, coef2];
+        const names = Object.keys(variables).filter(v => variables[v] && variables[v].length);
+        const n = names.length ? Math.min(...names.map(v => variables[v].length)) : 0;
+        const series = {};
+        names.forEach(v => { series[v] = variables[v].slice(-n); });
+
+        let p = Math.max(1, lags);
+        while (p > 1 && (n - p) <= names.length * p + 1) p--;
+
+        const model = { lags: p, variables: names, equations: {} };
+        const rows = [];
+        for (let t = p; t < n; t++) {
+            const row = [];
+            for (const source of names) {
+                for (let l = 1; l <= p; l++) row.push(series[source][t - l]);
             }
+            rows.push(row);
         }
-        
+
+        for (const target of names) {
+            const y = series[target].slice(p);
+            const fit = (y.length > names.length * p + 1) ? this.ols(y, rows) : null;
+            const coefficients = {};
+
+            if (fit) {
+                names.forEach((source, s) => {
+                    coefficients[source] = fit.coefficients.slice(s * p, (s + 1) * p);
+                });
+                model.equations[target] = { intercept: fit.intercept, coefficients, sigma: fit.sigma };
+            } else {
+                const ar = this.fitARModel(series[target], p);
+                names.forEach(source => {
+                    coefficients[source] = source === target
+                        ? Array.from({ length: p }, (_, l) => ar.coefficients[l] || 0)
+                        : Array(p).fill(0);
+                });
+                model.equations[target] = { intercept: ar.intercept, coefficients, sigma: ar.sigma };
+            }
+        }
+
         return model;
     }
 
     fitMultipleRegression(y, X) {
-        // Simplified multiple regression
         const n = y.length;
         const k = X[0].length;
-        
-        // Calculate means
+
+        // OLS; a small ridge penalty is applied only if X'X is singular
+        const fit = this.ols(y, X) || this.ols(y, X, 1e-8);
+        if (!fit) {
+            const yMean = y.reduce((a, b) => a + b, 0) / n;
+            return { coefficients: Array(k).fill(0), intercept: yMean, rSquared: 0, standardError: this.calculateStdError(y) };
+        }
+
+        return {
+            coefficients: fit.coefficients,
+            intercept: fit.intercept,
+            rSquared: fit.rSquared,
+            standardError: Math.sqrt(fit.ssRes / Math.max(1, n - k - 1))
+        };
+    }
+
+    // Ordinary least squares with an intercept, via the normal equations (X'X)b = X'y.
+    // Returns null when the system is singular.
+    ols(y, X, ridge = 0) {
+        const n = y.length;
+        const rows = X.map(row => [1, ...row]);
+        const k = rows[0] ? rows[0].length : 1;
+        if (n < k) return null;
+
+        const XtX = Array.from({ length: k }, () => Array(k).fill(0));
+        const Xty = Array(k).fill(0);
+        for (let i = 0; i < n; i++) {
+            for (let a = 0; a < k; a++) {
+                Xty[a] += rows[i][a] * y[i];
+                for (let b = 0; b < k; b++) XtX[a][b] += rows[i][a] * rows[i][b];
+            }
+        }
+        if (ridge > 0) {
+            const scale = XtX.reduce((sum, row, i) => sum + row[i], 0) / k;
+            for (let a = 1; a < k; a++) XtX[a][a] += ridge * scale;
+        }
+
+        const beta = this.solveLinearSystem(XtX, Xty);
+        if (!beta) return null;
+
         const yMean = y.reduce((a, b) => a + b, 0) / n;
-        const xMeans = Array(k).fill(0).map((_, i) => 
-            X.reduce((sum, row) => sum + row[i], 0) / n
-        );
-        
-        // Estimate coefficients (simplified)
-        const coefficients = xMeans.map(() => 0.5 + Math.random() * 0.3);
-        const intercept = yMean - coefficients.reduce((sum, c, i) => sum + c * xMeans[i], 0);
-        
-        // Calculate R-squared
-        const yHat = y.map((_, i) => {
-            return intercept + coefficients.reduce((sum, c, j) => sum + c * X[i][j], 0);
-        });
-        
-        const ssRes = y.reduce((sum, yi, i) => sum + Math.pow(yi - yHat[i], 2), 0);
+        const fitted = rows.map(row => row.reduce((sum, x, j) => sum + x * beta[j], 0));
+        const residuals = y.map((yi, i) => yi - fitted[i]);
+        const ssRes = residuals.reduce((sum, e) => sum + e * e, 0);
         const ssTot = y.reduce((sum, yi) => sum + Math.pow(yi - yMean, 2), 0);
-        const rSquared = 1 - (ssRes / ssTot);
-        
+
         return {
-            coefficients,
-            intercept,
-            rSquared,
-            standardError: Math.sqrt(ssRes / (n - k - 1))
+            intercept: beta[0],
+            coefficients: beta.slice(1),
+            fitted,
+            residuals,
+            ssRes,
+            rSquared: ssTot > 0 ? 1 - ssRes / ssTot : 0,
+            sigma: Math.sqrt(ssRes / Math.max(1, n - k))
+        };
+    }
+
+    // Gaussian elimination with partial pivoting; null if A is (numerically) singular
+    solveLinearSystem(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+        const tolerance = 1e-12 * Math.max(1, ...A.map(row => Math.max(...row.map(Math.abs))));
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+            }
+            if (Math.abs(M[pivot][col]) <= tolerance) return null;
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+
+            for (let r = col + 1; r < n; r++) {
+                const factor = M[r][col] / M[col][col];
+                for (let c = col; c <= n; c++) M[r][c] -= factor * M[col][c];
+            }
+        }
+
+        const x = Array(n).fill(0);
+        for (let r = n - 1; r >= 0; r--) {
+            let sum = M[r][n];
+            for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+            x[r] = sum / M[r][r];
+        }
+        return x;
+    }
+
+    // Seedable PRNG (mulberry32) returning floats in [0, 1)
+    createRNG(seed = this.seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
         };
     }
 
+    // Monte Carlo pricing paths: the fitted AR model on first differences is
+    // driven by resampled residuals. Same series + seed => same quantiles.
+    simulatePricingPaths(historicalData, periods = 8, options = {}) {
+        const paths = options.paths || 1000;
+        const rng = this.createRNG(options.seed !== undefined ? options.seed : this.seed);
+        const values = historicalData.map(d => d.nine || d.price);
+        const differences = this.calculateDifferences(values);
+        const model = this.fitARModel(differences, 2);
+        const shocks = model.residuals.length ? model.residuals : [0];
+
+        const outcomes = Array.from({ length: periods }, () => []);
+        for (let s = 0; s < paths; s++) {
+            const history = differences.slice();
+            let level = values[values.length - 1];
+            for (let i = 0; i < periods; i++) {
+                const shock = shocks[Math.floor(rng() * shocks.length)];
+                const change = model.intercept + this.calculateARTerm(history.slice(-model.order), model.coefficients) + shock;
+                history.push(change);
+                level += change;
+                outcomes[i].push(level);
+            }
+        }
+
+        const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+        return outcomes.map((draws, i) => {
+            const sorted = draws.slice().sort((a, b) => a - b);
+            return {
+                period: i + 1,
+                median: quantile(sorted, 0.5),
+                lower: quantile(sorted, 0.025),
+                upper: quantile(sorted, 0.975)
+            };
+        });
+    }
+
     projectRegressors(X, periods) {
         // Project independent variables forward
         const projected = [];
@@ -0,0 +1,241 @@
+// Housing Need Metrics
+// Need-based denominators for state credit authority, built from ACS 5-year detailed tables:
+//   costBurdened - renter households paying 30% or more of income for gross rent (B25070)
+//   eli          - extremely low-income renter households, at or below 30% of AMI (B25118)
+//   below60      - renter households at or below 60% of AMI, the LIHTC income ceiling (B25118)
+// AMI is approximated by the state median family income (B19113), the base HUD uses before
+// household-size and area adjustments; income counts are interpolated within the ACS brackets,
+// so they track but will not equal HUD CHAS tabulations.
+//
+// Credits are annual credit authority (StateAllocations totalAuthority: ceiling plus any
+// carryforward, returned credits and National Pool award).
+
+class HousingNeedMetrics {
+    constructor() {
+        this.apiKey = (typeof window !== 'undefined' && window.APP_CONFIG) ? window.APP_CONFIG.CENSUS_API_KEY : null;
+        this.vintages = [2023, 2022, 2021, 2020];
+        this.baseUrl = (v) => `https://api.census.gov/data/${v}/acs/acs5`;
+
+        this.variables = {
+            name: 'NAME',
+            renterHouseholds: 'B25070_001E',
+            burden30: 'B25070_007E',
+            burden35: 'B25070_008E',
+            burden40: 'B25070_009E',
+            burden50: 'B25070_010E',
+            medianFamilyIncome: 'B19113_001E'
+        };
+
+        // Renter household income brackets (B25118_015E-025E), lower bound of each bracket
+        this.incomeBrackets = [0, 5000, 10000, 15000, 20000, 25000, 35000, 50000, 75000, 100000, 150000]
+            .map((min, i) => ({ id: `B25118_${String(15 + i).padStart(3, '0')}E`, min }));
+
+        this.measures = {
+            perCapita: { label: 'Per capita', unit: 'resident', need: (s) => s.population, numerator: 'allocation' },
+            costBurdened: { label: 'Per cost-burdened renter household', unit: 'cost-burdened renter household', need: (s, n) => n && n.costBurdened },
+            eli: { label: 'Per extremely low-income renter household', unit: 'ELI renter household (≤30% AMI)', need: (s, n) => n && n.eli },
+            below60: { label: 'Per renter household below 60% AMI', unit: 'renter household ≤60% AMI', need: (s, n) => n && n.below60 }
+        };
+
+        this.fipsToAbbr = {
+            '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO', '09': 'CT', '10': 'DE', '11': 'DC',
+            '12': 'FL', '13': 'GA', '15': 'HI', '16': 'ID', '17': 'IL', '18': 'IN', '19': 'IA', '20': 'KS', '21': 'KY',
+            '22': 'LA', '23': 'ME', '24': 'MD', '25': 'MA', '26': 'MI', '27': 'MN', '28': 'MS', '29': 'MO', '30': 'MT',
+            '31': 'NE', '32': 'NV', '33': 'NH', '34': 'NJ', '35': 'NM', '36': 'NY', '37': 'NC', '38': 'ND', '39': 'OH',
+            '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI', '45': 'SC', '46': 'SD', '47': 'TN', '48': 'TX', '49': 'UT',
+            '50': 'VT', '51': 'VA', '53': 'WA', '54': 'WV', '55': 'WI', '56': 'WY'
+        };
+
+        this.byState = null;
+        this.vintage = null;
+        this.loading = null;
+
+        // County records ({ '08031': { ... } }), loaded separately on demand
+        this.byCounty = null;
+        this.countyVintage = null;
+        this.countyLoading = null;
+    }
+
+    // Need measures only (perCapita needs no ACS data)
+    getNeedMeasures() {
+        return Object.keys(this.measures).filter(key => key !== 'perCapita');
+    }
+
+    isLoaded() {
+        return !!this.byState;
+    }
+
+    // Fetches the newest ACS vintage that answers. Resolves to this; rejects if none do.
+    async load() {
+        if (this.byState) return this;
+        if (!this.loading) {
+            this.loading = this.fetchLatest()
+                .then(({ vintage, table }) => this.ingest(table, vintage))
+                .finally(() => { this.loading = null; });
+        }
+        return this.loading;
+    }
+
+    // Every US county in one request (about 3,200 rows). Resolves to this; rejects if no vintage answers.
+    async loadCounties() {
+        if (this.byCounty) return this;
+        if (!this.countyLoading) {
+            this.countyLoading = this.fetchLatest('county:*')
+                .then(({ vintage, table }) => {
+                    const [header, ...rows] = table;
+                    const byCounty = {};
+                    rows.forEach(r => {
+                        const rec = Object.fromEntries(header.map((h, i) => [h, r[i]]));
+                        const abbr = this.fipsToAbbr[rec.state];
+                        if (abbr) byCounty[rec.state + rec.county] = { abbr, ...this.parseRecord(rec) };
+                    });
+                    this.byCounty = byCounty;
+                    this.countyVintage = Number(vintage);
+                    return this;
+                })
+                .finally(() => { this.countyLoading = null; });
+        }
+        return this.countyLoading;
+    }
+
+    async fetchLatest(geography = 'state:*') {
+        const vars = [...Object.values(this.variables), ...this.incomeBrackets.map(b => b.id)].join(',');
+        const key = this.apiKey ? `&key=${encodeURIComponent(this.apiKey)}` : '';
+
+        for (const vintage of this.vintages) {
+            try {
+                const res = await fetch(`${this.baseUrl(vintage)}?get=${vars}&for=${geography}${key}`);
+                if (!res.ok) throw new Error(`ACS ${vintage} returned ${res.status}`);
+                const table = await res.json();
+                if (Array.isArray(table) && table.length > 1) return { vintage, table };
+            } catch (error) {
+                console.warn(`Housing need: ACS ${vintage} unavailable:`, error.message);
+            }
+        }
+        throw new Error('No ACS vintage available for housing need metrics');
+    }
+
+    // Census API state table ([header, ...rows]) into { AB: record } (see parseRecord)
+    ingest(table, vintage) {
+        const [header, ...rows] = table;
+        const byState = {};
+
+        rows.forEach(r => {
+            const rec = Object.fromEntries(header.map((h, i) => [h, r[i]]));
+            const abbr = this.fipsToAbbr[rec.state];
+            if (abbr) byState[abbr] = this.parseRecord(rec);
+        });
+
+        this.byState = byState;
+        this.vintage = Number(vintage);
+        return this;
+    }
+
+    // One ACS row ({ variable: value }) into { name, renterHouseholds, costBurdened, costBurdenRate,
+    // medianFamilyIncome, eli, below60 }. AMI limits use the row's own median family income.
+    parseRecord(rec) {
+        const v = (id) => Math.max(0, Number(rec[id]) || 0);
+        const brackets = this.incomeBrackets.map(b => ({ min: b.min, count: v(b.id) }));
+        const mfi = v(this.variables.medianFamilyIncome);
+        const renterHouseholds = v(this.variables.renterHouseholds);
+        const costBurdened = v(this.variables.burden30) + v(this.variables.burden35) + v(this.variables.burden40) + v(this.variables.burden50);
+
+        return {
+            name: rec.NAME,
+            renterHouseholds,
+            costBurdened,
+            costBurdenRate: renterHouseholds ? costBurdened / renterHouseholds : null,
+            medianFamilyIncome: mfi || null,
+            eli: mfi ? Math.round(this.countBelow(brackets, mfi * 0.3)) : null,
+            below60: mfi ? Math.round(this.countBelow(brackets, mfi * 0.6)) : null
+        };
+    }
+
+    // Households with income below `limit`, assuming an even spread within the bracket it falls in
+    countBelow(brackets, limit) {
+        let total = 0;
+        brackets.forEach((b, i) => {
+            const next = brackets[i + 1];
+            if (!next) return; // open-ended $150k+ bracket; 60% of any state MFI is far below it
+            if (limit >= next.min) total += b.count;
+            else if (limit > b.min) total += b.count * (limit - b.min) / (next.min - b.min);
+        });
+        return total;
+    }
+
+    getState(abbr) {
+        return this.byState ? this.byState[String(abbr).toUpperCase()] || null : null;
+    }
+
+    // County record by five-digit FIPS
+    getCounty(fips) {
+        return this.byCounty ? this.byCounty[String(fips).padStart(5, '0')] || null : null;
+    }
+
+    // Dollars of annual credit per unit of need for one StateAllocations state row, or null when the
+    // denominator is missing
+    ratio(s, measure) {
+        const def = this.measures[measure];
+        if (!def || !s) return null;
+        const need = Number(def.need(s, this.getState(s.abbr)));
+        if (!need) return null;
+        return this.numerator(s, measure) / need;
+    }
+
+    numerator(s, measure) {
+        const key = (this.measures[measure] && this.measures[measure].numerator) || 'totalAuthority';
+        return Number(s[key] ?? s.allocation) || 0;
+    }
+
+    // [{ abbr, name, credits, need, value }] for a StateAllocations dataset, highest value first.
+    // States without a denominator are left out.
+    rank(dataset, measure) {
+        const def = this.measures[measure];
+        if (!def) throw new Error(`Unknown need measure: ${measure}`);
+
+        return Object.values((dataset && dataset.states) || {})
+            .map(s => ({
+                abbr: s.abbr,
+                name: s.name,
+                credits: this.numerator(s, measure),
+                need: Number(def.need(s, this.getState(s.abbr))) || 0,
+                value: this.ratio(s, measure)
+            }))
+            .filter(r => r.value !== null)
+            .sort((a, b) => b.value - a.value);
+    }
+
+    // Where authority is thinnest relative to need. index is the state's credits per unit of need
+    // against the national rate (1 = national rate); gap is the additional annual authority the
+    // state would need to reach the national rate. options.scope limits the rows to some states;
+    // the national rate always uses every state.
+    // Returns { measure, label, unit, vintage, nationalRate, rows } with the lowest index first.
+    coverageGap(dataset, measure = 'below60', options = {}) {
+        const ranked = this.rank(dataset, measure);
+        const credits = ranked.reduce((sum, r) => sum + r.credits, 0);
+        const need = ranked.reduce((sum, r) => sum + r.need, 0);
+        const nationalRate = need ? credits / need : null;
+        const scope = options.scope ? new Set(options.scope) : null;
+
+        const rows = ranked
+            .filter(r => !scope || scope.has(r.abbr))
+            .map(r => ({
+                ...r,
+                index: nationalRate ? r.value / nationalRate : null,
+                gap: nationalRate ? Math.max(0, Math.round(nationalRate * r.need - r.credits)) : 0
+            }))
+            .sort((a, b) => a.index - b.index);
+
+        const def = this.measures[measure];
+        return { measure, label: def.label, unit: def.unit, vintage: this.vintage, nationalRate, rows };
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.HousingNeed = new HousingNeedMetrics();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HousingNeedMetrics };
+}
@@ -0,0 +1,214 @@
+// HUD Income & Rent Limit Engine
+// Loads the HUD Multifamily Tax Subsidy Project (MTSP) income-limit file and derives
+// LIHTC income limits (1-8 persons, 20%-80% AMI) and maximum gross rents by bedroom count.
+// Dataset: https://www.huduser.gov/portal/datasets/mtsp.html
+// Snapshot: data/hud-mtsp-income-limits.csv - every county / town in the MTSP workbook (columns fips,
+// state_alpha, county_name, hud_area_code, hud_area_name, medianYYYY, lim50_YYp1..p8), rebuilt by
+// .github/workflows/fetch-hud-mtsp.yml. Rows marked source=seed predate the first workflow run.
+
+class HUDIncomeLimits {
+    constructor() {
+        this.snapshotUrl = 'data/hud-mtsp-income-limits.csv';
+        this.areas = null;
+        this.loadedFrom = null;
+        this.year = null;
+        this.loading = null;
+
+        // LIHTC income-limit levels (income averaging designations run 20%-80% in 10% steps)
+        this.amiLevels = [20, 30, 40, 50, 60, 70, 80];
+        this.householdSizes = [1, 2, 3, 4, 5, 6, 7, 8];
+
+        // Rents are 30% of the limit for the imputed household: 1 person for an efficiency,
+        // otherwise 1.5 persons per bedroom (IRC §42(g)(2)(C))
+        this.rentShare = 0.30;
+        this.maxBedrooms = 5;
+    }
+
+    parseCSV(text) {
+        const db = (typeof window !== 'undefined') ? window.HUDLIHTCDatabase : null;
+        if (!db) throw new Error('CSV parser (js/hud-lihtc-database.js) not loaded');
+        return db.parseCSV(text);
+    }
+
+    // One MTSP row -> { fips, county, state, areaCode, areaName, median, year, lim50: [p1..p8] }
+    normalizeArea(row) {
+        const lim50 = Array(8).fill(null);
+        let year = null;
+        let median = null;
+
+        for (const [key, value] of Object.entries(row)) {
+            const lim = key.match(/^LIM50_?(\d{2})?P([1-8])$/);
+            if (lim) {
+                lim50[Number(lim[2]) - 1] = Number(String(value).replace(/[$,]/g, '')) || null;
+                if (lim[1]) year = 2000 + Number(lim[1]);
+                continue;
+            }
+            const med = key.match(/^MEDIAN(\d{4})?$/);
+            if (med) {
+                median = Number(String(value).replace(/[$,]/g, '')) || null;
+                if (med[1]) year = Number(med[1]);
+            }
+        }
+
+        const fips = String(row.FIPS || '').replace(/\D/g, '');
+        return {
+            fips: fips ? fips.slice(0, 5).padStart(5, '0') : null,
+            county: row.COUNTY_NAME || row.COUNTY_TOWN_NAME || null,
+            state: row.STATE_ALPHA || row.STUSPS || null,
+            areaCode: row.HUD_AREA_CODE || null,
+            areaName: row.HUD_AREA_NAME || null,
+            median,
+            year: Number(row.YEAR) || year,
+            lim50,
+            source: row.SOURCE || 'HUD MTSP'
+        };
+    }
+
+    ingestText(text, source) {
+        const rows = this.parseCSV(text)
+            .map(r => this.normalizeArea(r))
+            .filter(a => a.fips && a.lim50.every(v => v));
+
+        this.areas = rows;
+        this.loadedFrom = source || 'text';
+        this.year = rows.length ? rows[0].year : null;
+        return this.areas;
+    }
+
+    async loadSnapshot(url = this.snapshotUrl) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`MTSP income-limit snapshot unavailable (${response.status})`);
+        return this.ingestText(await response.text(), url);
+    }
+
+    // Load a user-selected MTSP CSV export (File from an <input type="file">)
+    async loadFile(file) {
+        const text = typeof file.text === 'function' ? await file.text() : await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+        return this.ingestText(text, file.name || 'local file');
+    }
+
+    // Shared by every panel on the page so the snapshot is fetched once
+    async ensureLoaded() {
+        if (this.areas) return this.areas;
+        if (!this.loading) {
+            this.loading = this.loadSnapshot().finally(() => { this.loading = null; });
+        }
+        return this.loading;
+    }
+
+    // Find an area by 5-digit county FIPS, HUD area code or county name ("Denver", "Denver County")
+    findArea(query, state = 'CO') {
+        if (!this.areas || query === null || query === undefined) return null;
+        if (typeof query === 'object') return query;
+
+        const q = String(query).trim();
+        const digits = q.replace(/\D/g, '');
+        if (digits.length >= 5 && digits.length === q.length) {
+            return this.areas.find(a => a.fips === digits.slice(0, 5)) || null;
+        }
+
+        const upper = q.toUpperCase();
+        const byCode = this.areas.find(a => (a.areaCode || '').toUpperCase() === upper);
+        if (byCode) return byCode;
+
+        const name = upper.replace(/\s+(COUNTY|PARISH|BOROUGH|CITY AND BOROUGH)$/, '');
+        return this.areas.find(a => {
+            if (state && a.state && a.state !== state) return false;
+            return (a.county || '').toUpperCase().replace(/\s+(COUNTY|PARISH|BOROUGH|CITY AND BOROUGH)$/, '') === name;
+        }) || null;
+    }
+
+    // Areas in one state, sorted by county name, for the panels' pickers
+    areasFor(state = 'CO') {
+        return (this.areas || [])
+            .filter(a => !state || !a.state || a.state === state)
+            .sort((a, b) => (a.county || '').localeCompare(b.county || ''));
+    }
+
+    // "Adams County, CO — Denver-Aurora-Lakewood, CO HMFA"; non-metro counties are their own area
+    areaLabel(area) {
+        const county = [area.county || area.fips, area.state].filter(Boolean).join(', ');
+        const name = String(area.areaName || '').replace(/\s+HUD Metro FMR Area$/i, ' HMFA');
+        return name && !name.startsWith(area.county || '\0') ? `${county} — ${name}` : county;
+    }
+
+    // Income limit for a household size at an AMI percentage, derived from the 50% limit.
+    // Derived limits are truncated to whole dollars.
+    incomeLimit(area, amiPct, householdSize) {
+        const a = this.findArea(area);
+        if (!a) return null;
+        const size = Math.round(householdSize);
+        if (size < 1 || size > 8) return null;
+        return Math.floor(a.lim50[size - 1] * amiPct / 50);
+    }
+
+    // { area, limits: { 20: [p1..p8], ..., 80: [...] } }
+    getIncomeLimits(query, levels = this.amiLevels) {
+        const area = this.findArea(query);
+        if (!area) return null;
+
+        const limits = {};
+        for (const pct of levels) {
+            limits[pct] = this.householdSizes.map(size => this.incomeLimit(area, pct, size));
+        }
+        return { area, year: area.year, limits };
+    }
+
+    imputedHouseholdSize(bedrooms) {
+        return bedrooms === 0 ? 1 : bedrooms * 1.5;
+    }
+
+    // Maximum LIHTC gross rent; fractional household sizes average the two adjacent limits
+    maxGrossRent(query, amiPct, bedrooms) {
+        const area = this.findArea(query);
+        if (!area) return null;
+
+        const size = this.imputedHouseholdSize(bedrooms);
+        const lower = Math.floor(size);
+        const upper = Math.ceil(size);
+        if (upper > 8) return null;
+
+        const income = lower === upper
+            ? area.lim50[lower - 1] * amiPct / 50
+            : ((area.lim50[lower - 1] + area.lim50[upper - 1]) / 2) * amiPct / 50;
+
+        return Math.floor(income * this.rentShare / 12);
+    }
+
+    // Rent table for bedrooms 0..maxBedrooms. utilityAllowances: { [bedrooms]: monthly $ }
+    getRentLimits(query, utilityAllowances = {}, levels = this.amiLevels) {
+        const area = this.findArea(query);
+        if (!area) return null;
+
+        const rents = {};
+        for (const pct of levels) {
+            rents[pct] = [];
+            for (let br = 0; br <= this.maxBedrooms; br++) {
+                const gross = this.maxGrossRent(area, pct, br);
+                const ua = Math.max(0, Number(utilityAllowances[br]) || 0);
+                rents[pct].push({
+                    bedrooms: br,
+                    imputedSize: this.imputedHouseholdSize(br),
+                    gross,
+                    utilityAllowance: ua,
+                    net: gross === null ? null : Math.max(0, gross - ua)
+                });
+            }
+        }
+        return { area, year: area.year, rents };
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.HUDIncomeLimits = new HUDIncomeLimits();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HUDIncomeLimits };
+}
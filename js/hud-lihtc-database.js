@@ -0,0 +1,258 @@
+// HUD LIHTC Database Ingestion Module
+// Parses the HUD project-level LIHTC file (LIHTCPUB.CSV) and aggregates it for the dashboards
+// Dataset: https://www.huduser.gov/portal/datasets/lihtc.html (refreshed by .github/workflows/fetch-hud-lihtc.yml)
+
+class HUDLIHTCDatabase {
+    constructor() {
+        this.snapshotUrl = 'data/hud-lihtc-projects.csv';
+        this.records = null;
+        this.loadedFrom = null;
+
+        // 50 states, DC and the territories HUD reports in PROJ_ST
+        this.jurisdictions = {
+            'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas', 'CA': 'California',
+            'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware', 'DC': 'District of Columbia',
+            'FL': 'Florida', 'GA': 'Georgia', 'HI': 'Hawaii', 'ID': 'Idaho', 'IL': 'Illinois',
+            'IN': 'Indiana', 'IA': 'Iowa', 'KS': 'Kansas', 'KY': 'Kentucky', 'LA': 'Louisiana',
+            'ME': 'Maine', 'MD': 'Maryland', 'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota',
+            'MS': 'Mississippi', 'MO': 'Missouri', 'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada',
+            'NH': 'New Hampshire', 'NJ': 'New Jersey', 'NM': 'New Mexico', 'NY': 'New York',
+            'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio', 'OK': 'Oklahoma', 'OR': 'Oregon',
+            'PA': 'Pennsylvania', 'RI': 'Rhode Island', 'SC': 'South Carolina', 'SD': 'South Dakota',
+            'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah', 'VT': 'Vermont', 'VA': 'Virginia',
+            'WA': 'Washington', 'WV': 'West Virginia', 'WI': 'Wisconsin', 'WY': 'Wyoming',
+            'PR': 'Puerto Rico', 'VI': 'U.S. Virgin Islands', 'GU': 'Guam',
+            'AS': 'American Samoa', 'MP': 'Northern Mariana Islands'
+        };
+
+        // HUD data dictionary codes
+        this.creditCodes = { '1': '4%', '2': '9%', '3': 'Both', '4': 'TCEP' };
+        this.ddaCodes = { '0': null, '1': 'Metro DDA', '2': 'Non-metro DDA', '3': 'Metro GO Zone DDA', '4': 'Non-metro GO Zone DDA' };
+    }
+
+    // RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF, BOM)
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const src = String(text || '').replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+
+            if (inQuotes) {
+                if (ch === '"') {
+                    if (src[i + 1] === '"') { field += '"'; i++; }
+                    else inQuotes = false;
+                } else {
+                    field += ch;
+                }
+                continue;
+            }
+
+            if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                row.push(field); field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && src[i + 1] === '\n') i++;
+                row.push(field); field = '';
+                if (row.length > 1 || row[0] !== '') rows.push(row);
+                row = [];
+            } else {
+                field += ch;
+            }
+        }
+
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        if (!rows.length) return [];
+
+        const header = rows[0].map(h => h.trim().toUpperCase());
+        return rows.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, r[i] !== undefined ? r[i].trim() : ''])));
+    }
+
+    // Normalize one HUD record. Accepts CSV rows (numeric codes) and the
+    // eGIS/ArcGIS layer properties used on the map ('9%', true/false, 'Y').
+    normalizeRecord(row) {
+        const num = (v) => {
+            if (v === null || v === undefined || v === '') return null;
+            const n = Number(String(v).replace(/[$,\s]/g, ''));
+            return Number.isFinite(n) ? n : null;
+        };
+        // 8888 / 9999 mean "not yet placed in service" / "missing"
+        const year = (v) => {
+            const n = num(v);
+            return n && n >= 1987 && n < 2100 ? n : null;
+        };
+        const yesNo = (v) => {
+            if (v === true || v === false) return v;
+            const s = String(v ?? '').trim().toUpperCase();
+            if (s === '1' || s === 'Y' || s === 'YES' || s === 'TRUE') return true;
+            if (s === '2' || s === '0' || s === 'N' || s === 'NO' || s === 'FALSE') return false;
+            return null;
+        };
+        const credit = (v) => {
+            const s = String(v ?? '').trim();
+            if (this.creditCodes[s]) return this.creditCodes[s];
+            if (/9\s*%/.test(s) || /70/.test(s)) return '9%';
+            if (/4\s*%/.test(s) || /30/.test(s)) return '4%';
+            return null;
+        };
+
+        const state = String(row.PROJ_ST || row.STD_ST || '').trim().toUpperCase() || null;
+        const ddaRaw = row.DDA;
+        const ddaCode = String(ddaRaw ?? '').trim();
+        const ddaType = Object.prototype.hasOwnProperty.call(this.ddaCodes, ddaCode) ? this.ddaCodes[ddaCode] : null;
+
+        return {
+            hudId: row.HUD_ID || null,
+            project: row.PROJECT || row.PROJ_NM || null,
+            address: row.PROJ_ADD || row.STD_ADDR || null,
+            city: row.PROJ_CTY || row.STD_CITY || null,
+            state: state,
+            zip: row.PROJ_ZIP || row.STD_ZIP5 || null,
+            county: row.CNTY_NAME || null,
+            countyFips: (row.CNTY_FIPS || row.FIPS2010) ? String(row.CNTY_FIPS || row.FIPS2010).slice(0, 5) : null,
+            lat: num(row.LATITUDE),
+            lng: num(row.LONGITUDE),
+            units: num(row.N_UNITS),
+            liUnits: num(row.LI_UNITS),
+            allocationAmount: num(row.ALLOCAMT),
+            yearPlacedInService: year(row.YR_PIS),
+            yearAllocated: year(row.YR_ALLOC),
+            creditType: credit(row.CREDIT),
+            qct: yesNo(row.QCT),
+            dda: ddaCode === '' ? null : (ddaType !== null || yesNo(ddaRaw) === true),
+            ddaType: ddaType,
+            nonProfit: yesNo(row.NON_PROF),
+            bond: yesNo(row.BOND),
+            increasedBasis: yesNo(row.BASIS),
+            target: {
+                any: yesNo(row.TRGT_POP),
+                family: yesNo(row.TRGT_FAM),
+                elderly: yesNo(row.TRGT_ELD),
+                disabled: yesNo(row.TRGT_DIS),
+                homeless: yesNo(row.TRGT_HML)
+            }
+        };
+    }
+
+    // Aggregate normalized records into the stateAllocations shape used by
+    // LIHTCDataService consumers: { total, cumulative, perCapita, projects, units, ... }
+    // ALLOCAMT is an annual credit amount, so `total`, `creditSplit` and `perCapita` cover one
+    // allocation year (options.year, else the latest YR_ALLOC in the file); `cumulative` and
+    // `counties` sum every year and `projects` / `units` count the whole inventory.
+    aggregateByState(records, populations = {}, options = {}) {
+        const out = {};
+        const year = options.year || records.reduce((max, r) => Math.max(max, r.yearAllocated || 0), 0) || null;
+
+        for (const abbr of Object.keys(this.jurisdictions)) {
+            out[abbr] = {
+                name: this.jurisdictions[abbr],
+                allocationYear: year,
+                total: 0,
+                cumulative: 0,
+                perCapita: null,
+                projects: 0,
+                units: 0,
+                liUnits: 0,
+                creditSplit: { competitive: 0, nonCompetitive: 0 },
+                placedInService: { first: null, last: null },
+                counties: {}
+            };
+        }
+
+        for (const r of records) {
+            const s = out[r.state];
+            if (!s) continue;
+
+            s.projects += 1;
+            s.units += r.units || 0;
+            s.liUnits += r.liUnits || 0;
+            s.cumulative += r.allocationAmount || 0;
+
+            if (year && r.yearAllocated === year) {
+                s.total += r.allocationAmount || 0;
+                if (r.creditType === '9%') s.creditSplit.competitive += r.allocationAmount || 0;
+                else if (r.creditType === '4%') s.creditSplit.nonCompetitive += r.allocationAmount || 0;
+            }
+
+            const pis = r.yearPlacedInService;
+            if (pis) {
+                if (!s.placedInService.first || pis < s.placedInService.first) s.placedInService.first = pis;
+                if (!s.placedInService.last || pis > s.placedInService.last) s.placedInService.last = pis;
+            }
+
+            if (r.county) s.counties[r.county] = (s.counties[r.county] || 0) + (r.allocationAmount || 0);
+        }
+
+        for (const [abbr, s] of Object.entries(out)) {
+            const pop = Number(populations[abbr]) || 0;
+            s.perCapita = pop ? Number((s.total / pop).toFixed(2)) : null;
+            // Legacy key read by older dashboard code
+            s.qap2026 = s.creditSplit;
+        }
+
+        return out;
+    }
+
+    // Population lookup from the canonical allocation store (js/state-allocations.js), once loaded
+    getPopulations() {
+        const store = typeof window !== 'undefined' ? window.StateAllocations : null;
+        const src = store && store.current ? store.current.states : null;
+        if (!src) return {};
+        return Object.fromEntries(Object.entries(src).map(([abbr, s]) => [abbr, s.population]));
+    }
+
+    ingestText(text, source) {
+        const rows = this.parseCSV(text);
+        this.records = rows.map(r => this.normalizeRecord(r)).filter(r => r.state);
+        this.loadedFrom = source || 'text';
+        return this.records;
+    }
+
+    // Load the data/ snapshot committed by the fetch workflow
+    async loadSnapshot(url = this.snapshotUrl) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HUD LIHTC snapshot unavailable (${response.status})`);
+        return this.ingestText(await response.text(), url);
+    }
+
+    // Load a user-selected LIHTCPUB.CSV (File from an <input type="file">)
+    async loadFile(file) {
+        const text = typeof file.text === 'function'
+            ? await file.text()
+            : await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsText(file);
+            });
+        return this.ingestText(text, file.name || 'local file');
+    }
+
+    async loadStateAllocations(options = {}) {
+        if (!this.records) await this.loadSnapshot();
+
+        return {
+            stateAllocations: this.aggregateByState(this.records, this.getPopulations(), options),
+            recordCount: this.records.length,
+            source: this.loadedFrom,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.HUDLIHTCDatabase = new HUDLIHTCDatabase();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HUDLIHTCDatabase };
+}
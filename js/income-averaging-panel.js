@@ -0,0 +1,258 @@
+/**
+ * income-averaging-panel.js — Colorado Deep Dive income averaging designer
+ * Binds the #mixDesigner form to IncomeAveragingDesigner: unit counts by
+ * bedroom type, AMI tier designations, live average-test validation, the
+ * resulting rent roll and revenue-maximizing suggestions.
+ */
+(function () {
+  'use strict';
+
+  function $id(id) { return document.getElementById(id); }
+
+  // Areas listed in the county picker; the map's state once it reports one
+  let state = 'CO';
+
+  const money = (n) => (Number.isFinite(n) ? '$' + Math.round(n).toLocaleString() : '—');
+
+  // Starting mix: 60 units, all designated at 60% AMI
+  const BEDROOMS = [
+    { bedrooms: 0, units: 10 },
+    { bedrooms: 1, units: 20 },
+    { bedrooms: 2, units: 20 },
+    { bedrooms: 3, units: 10 }
+  ];
+
+  function designer() { return window.IncomeAveragingDesigner; }
+
+  function num(id) {
+    const el = $id(id);
+    const v = el ? Number(String(el.value).replace(/[$,\s]/g, '')) : NaN;
+    return Number.isFinite(v) ? v : 0;
+  }
+
+  function input(id, value, width) {
+    const el = document.createElement('input');
+    el.type = 'text';
+    el.inputMode = 'decimal';
+    el.id = id;
+    el.value = value;
+    el.style.width = width || '4.5rem';
+    return el;
+  }
+
+  function buildTable() {
+    const tiers = designer().tiers;
+    const head = document.createElement('tr');
+    ['Unit', 'Units', 'Utility allowance', 'Market rent', ...tiers.map(t => `${t}%`), 'Designated'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    $id('mixHead').replaceChildren(head);
+
+    const body = $id('mixUnits');
+    body.replaceChildren();
+    BEDROOMS.forEach(({ bedrooms, units }) => {
+      const tr = document.createElement('tr');
+      const label = document.createElement('td');
+      label.innerHTML = `<strong>${designer().bedroomLabels[bedrooms]}</strong>`;
+      tr.appendChild(label);
+
+      [
+        input(`mix-${bedrooms}-units`, units),
+        input(`mix-${bedrooms}-ua`, 0),
+        input(`mix-${bedrooms}-market`, '', '5.5rem'),
+        ...tiers.map(t => input(`mix-${bedrooms}-t${t}`, t === 60 ? units : 0, '3.5rem'))
+      ].forEach(el => {
+        const td = document.createElement('td');
+        td.appendChild(el);
+        tr.appendChild(td);
+      });
+
+      const assigned = document.createElement('td');
+      assigned.id = `mix-${bedrooms}-assigned`;
+      tr.appendChild(assigned);
+      body.appendChild(tr);
+    });
+  }
+
+  function readRows() {
+    return BEDROOMS.map(({ bedrooms }) => {
+      const tiers = {};
+      designer().tiers.forEach(t => { tiers[t] = num(`mix-${bedrooms}-t${t}`); });
+      return {
+        bedrooms,
+        units: num(`mix-${bedrooms}-units`),
+        utilityAllowance: num(`mix-${bedrooms}-ua`),
+        marketRent: num(`mix-${bedrooms}-market`) || null,
+        tiers
+      };
+    });
+  }
+
+  function applyRows(rows) {
+    rows.forEach(row => {
+      designer().tiers.forEach(t => {
+        const el = $id(`mix-${row.bedrooms}-t${t}`);
+        if (el) el.value = row.tiers[t] || 0;
+      });
+    });
+    update();
+  }
+
+  function populateCounties() {
+    const engine = window.HUDIncomeLimits;
+    const select = $id('mixCounty');
+    if (!select || !engine || !engine.areas) return;
+
+    const previous = select.value;
+    const areas = engine.areasFor(state);
+    select.innerHTML = '';
+    areas.forEach(a => {
+      const opt = document.createElement('option');
+      opt.value = a.fips;
+      opt.textContent = engine.areaLabel(a);
+      select.appendChild(opt);
+    });
+    if (previous && areas.some(a => a.fips === previous)) select.value = previous;
+    else if (areas.some(a => a.fips === '08031')) select.value = '08031';
+  }
+
+  // Follow the LIHTC map's state (co-lihtc-map.js)
+  function followMapState(refresh) {
+    document.addEventListener('lihtcmap:projects', (e) => {
+      const abbr = e.detail && e.detail.state ? e.detail.state.abbr : null;
+      if (!abbr || abbr === state) return;
+      state = abbr;
+      populateCounties();
+      refresh();
+    });
+  }
+
+  function currentArea() {
+    const engine = window.HUDIncomeLimits;
+    return engine ? engine.findArea($id('mixCounty')?.value) : null;
+  }
+
+  function update() {
+    const area = currentArea();
+    if (!area) return;
+
+    const rows = readRows();
+    const summary = designer().summarize(area, rows);
+
+    rows.forEach(row => {
+      const cell = $id(`mix-${row.bedrooms}-assigned`);
+      const assigned = Object.values(row.tiers).reduce((sum, n) => sum + Math.max(0, Math.round(n)), 0);
+      if (cell) {
+        cell.textContent = `${assigned} / ${Math.round(row.units)}`;
+        cell.style.color = assigned === Math.round(row.units) ? '' : 'var(--bad)';
+      }
+    });
+
+    const avg = $id('mixAverage');
+    if (avg) {
+      avg.textContent = summary.average === null
+        ? 'No units designated'
+        : `Average ${summary.average.toFixed(1)}% AMI — ${summary.compliant ? 'compliant' : 'not compliant'}`;
+      avg.style.color = summary.compliant ? 'var(--good)' : 'var(--bad)';
+    }
+
+    const issues = $id('mixIssues');
+    if (issues) {
+      issues.replaceChildren(...summary.issues.map(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        return li;
+      }));
+    }
+
+    const body = $id('mixRentRoll');
+    if (!body) return;
+    body.replaceChildren();
+    summary.rentRoll.lines.forEach(line => {
+      const tr = document.createElement('tr');
+      [
+        designer().bedroomLabels[line.bedrooms],
+        `${line.pct}%`,
+        line.units,
+        money(line.gross),
+        money(line.rent) + (line.marketCapped ? ' (market)' : ''),
+        money(line.monthly)
+      ].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+
+    const total = document.createElement('tr');
+    total.innerHTML = `<td><strong>Total</strong></td><td></td><td><strong>${summary.designated}</strong></td><td></td><td></td>` +
+      `<td><strong>${money(summary.rentRoll.monthly)} / mo · ${money(summary.rentRoll.annual)} / yr</strong></td>`;
+    body.appendChild(total);
+  }
+
+  function suggest() {
+    const area = currentArea();
+    const box = $id('mixSuggestions');
+    if (!area || !box) return;
+
+    const current = designer().summarize(area, readRows());
+    const suggestions = designer().suggest(area, readRows());
+    box.replaceChildren();
+
+    suggestions.forEach(s => {
+      const card = document.createElement('div');
+      card.style.cssText = 'display:flex; align-items:center; gap:.75rem; padding:.5rem 0; border-top:1px solid var(--border);';
+
+      const mix = s.rows.map(row => {
+        const parts = Object.keys(row.tiers).filter(t => row.tiers[t]).map(t => `${row.tiers[t]}@${t}%`);
+        return parts.length ? `${designer().bedroomLabels[row.bedrooms]}: ${parts.join(', ')}` : null;
+      }).filter(Boolean).join(' · ');
+
+      const delta = s.summary.rentRoll.annual - current.rentRoll.annual;
+      const text = document.createElement('div');
+      text.style.flex = '1';
+      text.innerHTML = `<strong>${s.label}</strong> — ${money(s.summary.rentRoll.annual)} / yr ` +
+        `(${delta >= 0 ? '+' : '−'}${money(Math.abs(delta))} vs. current), average ${s.summary.average.toFixed(1)}%` +
+        `<div style="font-size:.8rem; color:var(--muted);">${mix}</div>`;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn';
+      button.textContent = 'Apply';
+      button.addEventListener('click', () => applyRows(s.rows));
+
+      card.append(text, button);
+      box.appendChild(card);
+    });
+  }
+
+  async function init() {
+    const form = $id('mixDesigner');
+    if (!form || !designer() || !window.HUDIncomeLimits) return;
+
+    buildTable();
+    try {
+      await window.HUDIncomeLimits.ensureLoaded();
+    } catch (error) {
+      console.warn('MTSP income limits unavailable:', error.message);
+    }
+    populateCounties();
+
+    form.addEventListener('input', update);
+    form.addEventListener('change', update);
+    form.addEventListener('submit', (e) => { e.preventDefault(); update(); });
+    $id('mixSuggest')?.addEventListener('click', suggest);
+    document.addEventListener('incomelimits:loaded', () => { populateCounties(); update(); });
+    followMapState(update);
+    update();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
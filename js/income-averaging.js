@@ -0,0 +1,164 @@
+// Income Averaging Unit-Mix Designer
+// Average income test (IRC §42(g)(1)(C), Consolidated Appropriations Act 2018): LIHTC units may be
+// designated at 20%-80% AMI in 10% steps as long as the average designation, weighted by unit,
+// does not exceed 60% AMI. Rents come from HUDIncomeLimits (js/hud-income-limits.js).
+
+class IncomeAveragingDesigner {
+    constructor(limits) {
+        this.limits = limits || (typeof window !== 'undefined' ? window.HUDIncomeLimits : null);
+        this.tiers = [20, 30, 40, 50, 60, 70, 80];
+        this.maxAverage = 60;
+        this.bedroomLabels = ['Studio', '1 BR', '2 BR', '3 BR', '4 BR', '5 BR'];
+    }
+
+    // Monthly rent for one unit. The collectible rent is the LIHTC net rent capped at market rent.
+    unitRent(area, bedrooms, pct, options = {}) {
+        if (!this.limits) throw new Error('HUDIncomeLimits (js/hud-income-limits.js) not loaded');
+
+        const gross = this.limits.maxGrossRent(area, pct, bedrooms);
+        if (gross === null) return null;
+        const ua = Math.max(0, Number(options.utilityAllowance) || 0);
+        const net = Math.max(0, gross - ua);
+        const market = Number(options.marketRent) || null;
+
+        return {
+            gross,
+            net,
+            rent: market ? Math.min(net, market) : net,
+            marketCapped: !!(market && market < net)
+        };
+    }
+
+    // rows: [{ bedrooms, units, utilityAllowance, marketRent, tiers: { 20: n, ..., 80: n } }]
+    // Returns the weighted average, compliance issues and the rent roll.
+    summarize(area, rows) {
+        const issues = [];
+        const lines = [];
+        let totalUnits = 0;
+        let designated = 0;
+        let weighted = 0;
+        let monthly = 0;
+
+        for (const row of rows) {
+            const units = Math.max(0, Math.round(Number(row.units) || 0));
+            const tiers = row.tiers || {};
+            let assigned = 0;
+            totalUnits += units;
+
+            for (const key of Object.keys(tiers)) {
+                const pct = Number(key);
+                const n = Math.max(0, Math.round(Number(tiers[key]) || 0));
+                if (!n) continue;
+                if (!this.tiers.includes(pct)) {
+                    issues.push(`${pct}% AMI is not a permitted designation (20%-80% in 10% steps)`);
+                    continue;
+                }
+
+                const rent = this.unitRent(area, row.bedrooms, pct, row);
+                assigned += n;
+                weighted += pct * n;
+                if (!rent) continue;
+
+                monthly += rent.rent * n;
+                lines.push({ bedrooms: row.bedrooms, pct, units: n, ...rent, monthly: rent.rent * n });
+            }
+
+            const label = this.bedroomLabels[row.bedrooms] || `${row.bedrooms} BR`;
+            if (assigned > units) issues.push(`${label}: ${assigned} units designated but only ${units} in the mix`);
+            else if (assigned < units) issues.push(`${label}: ${units - assigned} units not yet designated`);
+            designated += assigned;
+        }
+
+        const average = designated ? weighted / designated : null;
+        if (average !== null && average > this.maxAverage) {
+            issues.unshift(`Average designation ${average.toFixed(1)}% exceeds the ${this.maxAverage}% limit`);
+        }
+
+        return {
+            totalUnits,
+            designated,
+            average,
+            compliant: average !== null && average <= this.maxAverage && designated === totalUnits,
+            issues,
+            rentRoll: { lines, monthly, annual: monthly * 12 }
+        };
+    }
+
+    // Revenue-maximizing designations under the average test.
+    // Exact dynamic program over the AMI-point budget: each unit picks a tier, and the sum of
+    // (tier - lowest tier) / 10 over all units may not exceed the budget implied by maxAverage.
+    optimize(area, rows, options = {}) {
+        const tiers = (options.tiers || this.tiers).slice().sort((a, b) => a - b);
+        const maxAverage = options.maxAverage || this.maxAverage;
+        const base = tiers[0];
+        const costs = tiers.map(t => Math.round((t - base) / 10));
+
+        const units = [];
+        rows.forEach((row, r) => {
+            const n = Math.max(0, Math.round(Number(row.units) || 0));
+            const revenue = tiers.map(t => {
+                const rent = this.unitRent(area, row.bedrooms, t, row);
+                return rent ? rent.rent : -Infinity;
+            });
+            for (let i = 0; i < n; i++) units.push({ row: r, revenue });
+        });
+
+        const result = rows.map(row => ({ ...row, tiers: {} }));
+        if (!units.length) return result;
+        if (maxAverage < base) throw new Error(`No mix of ${tiers.join('/')}% tiers can average ${maxAverage}% or less`);
+
+        const budget = Math.floor(units.length * (maxAverage - base) / 10 + 1e-9);
+        let best = new Float64Array(budget + 1);
+        const choice = units.map(() => new Int8Array(budget + 1));
+
+        units.forEach((unit, i) => {
+            const next = new Float64Array(budget + 1).fill(-Infinity);
+            for (let b = 0; b <= budget; b++) {
+                for (let k = 0; k < tiers.length; k++) {
+                    if (costs[k] > b) break;
+                    const value = best[b - costs[k]] + unit.revenue[k];
+                    // Ties go to the lower tier (deeper targeting at the same revenue)
+                    if (value > next[b] + 1e-9) {
+                        next[b] = value;
+                        choice[i][b] = k;
+                    }
+                }
+            }
+            best = next;
+        });
+
+        let b = budget;
+        for (let i = units.length - 1; i >= 0; i--) {
+            const k = choice[i][b];
+            const pct = tiers[k];
+            const target = result[units[i].row].tiers;
+            target[pct] = (target[pct] || 0) + 1;
+            b -= costs[k];
+        }
+        return result;
+    }
+
+    // Candidate mixes for the unit counts in rows, best revenue first
+    suggest(area, rows) {
+        const uniform = rows.map(row => ({ ...row, tiers: { 60: Math.max(0, Math.round(Number(row.units) || 0)) } }));
+        const candidates = [
+            { label: 'Revenue-maximizing (20%-80% tiers)', rows: this.optimize(area, rows) },
+            { label: 'Three tiers (30% / 60% / 80%)', rows: this.optimize(area, rows, { tiers: [30, 60, 80] }) },
+            { label: 'Two tiers (40% / 80%)', rows: this.optimize(area, rows, { tiers: [40, 80] }) },
+            { label: 'All units at 60% AMI (40/60 baseline)', rows: uniform }
+        ];
+
+        return candidates
+            .map(c => ({ ...c, summary: this.summarize(area, c.rows) }))
+            .sort((a, b) => b.summary.rentRoll.annual - a.summary.rentRoll.annual);
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.IncomeAveragingDesigner = new IncomeAveragingDesigner();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IncomeAveragingDesigner };
+}
@@ -0,0 +1,154 @@
+/**
+ * income-limits-panel.js — Colorado Deep Dive income & rent limit tables
+ * Binds the #incomeLimits form to HUDIncomeLimits: county picker, optional
+ * MTSP CSV upload and per-bedroom utility allowances.
+ */
+(function () {
+  'use strict';
+
+  function $id(id) { return document.getElementById(id); }
+
+  // Areas listed in the county picker; the map's state once it reports one
+  let state = 'CO';
+
+  const money = (n) => (Number.isFinite(n) ? '$' + Math.round(n).toLocaleString() : '—');
+  const bedroomLabel = (br) => (br === 0 ? 'Studio' : `${br} BR`);
+
+  function utilityAllowances() {
+    const ua = {};
+    for (let br = 0; br <= 5; br++) {
+      const el = $id(`limitsUA${br}`);
+      const v = el ? Number(String(el.value).replace(/[$,\s]/g, '')) : 0;
+      ua[br] = Number.isFinite(v) ? v : 0;
+    }
+    return ua;
+  }
+
+  function headRow(cells) {
+    const tr = document.createElement('tr');
+    cells.forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      tr.appendChild(th);
+    });
+    return tr;
+  }
+
+  function bodyRow(label, cells) {
+    const tr = document.createElement('tr');
+    const th = document.createElement('td');
+    th.innerHTML = `<strong>${label}</strong>`;
+    tr.appendChild(th);
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    return tr;
+  }
+
+  function populateCounties() {
+    const engine = window.HUDIncomeLimits;
+    const select = $id('limitsCounty');
+    if (!select || !engine.areas) return;
+
+    const previous = select.value;
+    const areas = engine.areasFor(state);
+    select.innerHTML = '';
+    areas.forEach(a => {
+      const opt = document.createElement('option');
+      opt.value = a.fips;
+      opt.textContent = engine.areaLabel(a);
+      select.appendChild(opt);
+    });
+    if (previous && areas.some(a => a.fips === previous)) select.value = previous;
+    else if (areas.some(a => a.fips === '08031')) select.value = '08031';
+  }
+
+  // Follow the LIHTC map's state (co-lihtc-map.js)
+  function followMapState(refresh) {
+    document.addEventListener('lihtcmap:projects', (e) => {
+      const abbr = e.detail && e.detail.state ? e.detail.state.abbr : null;
+      if (!abbr || abbr === state) return;
+      state = abbr;
+      populateCounties();
+      refresh();
+    });
+  }
+
+  function render() {
+    const engine = window.HUDIncomeLimits;
+    const fips = $id('limitsCounty')?.value;
+    const income = engine.getIncomeLimits(fips);
+    const rent = engine.getRentLimits(fips, utilityAllowances());
+    if (!income || !rent) {
+      const source = $id('limitsSource');
+      if (source && engine.areas) source.textContent = `No MTSP areas for ${state} in ${engine.loadedFrom}`;
+      return;
+    }
+
+    const source = $id('limitsSource');
+    if (source) {
+      const a = income.area;
+      source.textContent = `${engine.areaLabel(a)} · FY${a.year || '—'} · ${a.source === 'seed' ? 'seed rows (partial, pending the HUD MTSP refresh)' : engine.loadedFrom}`;
+    }
+
+    $id('limitsIncomeHead').replaceChildren(headRow(['AMI level', ...engine.householdSizes.map(n => `${n} person`)]));
+    const incomeBody = $id('limitsIncome');
+    incomeBody.replaceChildren();
+    Object.keys(income.limits).forEach(pct => {
+      incomeBody.appendChild(bodyRow(`${pct}% AMI`, income.limits[pct].map(money)));
+    });
+
+    const bedrooms = rent.rents[engine.amiLevels[0]].map(r => r.bedrooms);
+    $id('limitsRentHead').replaceChildren(headRow(['Max rent (gross / net)', ...bedrooms.map(bedroomLabel)]));
+    const rentBody = $id('limitsRent');
+    rentBody.replaceChildren();
+    Object.keys(rent.rents).forEach(pct => {
+      rentBody.appendChild(bodyRow(`${pct}% AMI`, rent.rents[pct].map(r =>
+        r.utilityAllowance ? `${money(r.gross)} / ${money(r.net)}` : money(r.gross))));
+    });
+  }
+
+  async function loadFile(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    try {
+      await window.HUDIncomeLimits.loadFile(file);
+      populateCounties();
+      render();
+      document.dispatchEvent(new CustomEvent('incomelimits:loaded'));
+    } catch (error) {
+      console.error('MTSP income-limit file could not be read:', error);
+      const source = $id('limitsSource');
+      if (source) source.textContent = `Could not read ${file.name}: ${error.message}`;
+    }
+  }
+
+  async function init() {
+    const form = $id('incomeLimits');
+    if (!form || !window.HUDIncomeLimits) return;
+
+    try {
+      await window.HUDIncomeLimits.ensureLoaded();
+    } catch (error) {
+      console.warn('MTSP income limits unavailable:', error.message);
+      const source = $id('limitsSource');
+      if (source) source.textContent = 'Income-limit snapshot unavailable — load an MTSP CSV export.';
+    }
+
+    populateCounties();
+    form.addEventListener('input', render);
+    form.addEventListener('change', (e) => { if (e.target.id !== 'limitsFile') render(); });
+    form.addEventListener('submit', (e) => { e.preventDefault(); render(); });
+    $id('limitsFile')?.addEventListener('change', loadFile);
+    followMapState(render);
+    if (window.HUDIncomeLimits.areas) render();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,186 @@
+// LIHTC Deal Sizing Calculator
+// Eligible basis -> applicable fraction -> qualified basis -> annual credits -> equity -> sources & uses gap
+// References: IRC §42(d) (eligible basis), §42(c)(1) (applicable fraction), §42(d)(5)(B) (QCT/DDA 130% boost),
+// §42(b) fixed 9% / 4% rates (PATH Act 2015; Consolidated Appropriations Act 2021)
+
+class LIHTCDealCalculator {
+    constructor() {
+        // Fixed minimum applicable percentages for buildings placed in service today
+        this.creditRates = {
+            '9%': 0.09,
+            '4%': 0.04
+        };
+
+        // Acquisition basis of existing buildings always earns the 4% rate
+        this.acquisitionRate = 0.04;
+        this.basisBoost = 1.30;
+        this.creditYears = 10;
+
+        // Matches LIHTCDataService.currentPricing; used when no live price is available
+        this.defaultPricing = {
+            '9%': 0.87,
+            '4%': 0.85
+        };
+        this.investorShare = 0.9999;
+
+        this.useLabels = {
+            land: 'Land',
+            buildingAcquisition: 'Building acquisition',
+            construction: 'Construction / rehab (hard costs)',
+            eligibleSoftCosts: 'Soft costs (basis-eligible)',
+            ineligibleSoftCosts: 'Soft costs (ineligible)',
+            developerFee: 'Developer fee',
+            reserves: 'Reserves',
+            commercial: 'Commercial space'
+        };
+
+        this.sourceLabels = {
+            permanentLoan: 'Permanent loan',
+            softLoans: 'Soft loans / grants',
+            deferredDeveloperFee: 'Deferred developer fee',
+            otherSources: 'Other sources'
+        };
+    }
+
+    // Current equity price from LIHTCDataService when it is loaded on the page
+    async getCurrentPrice(creditType = '9%') {
+        const service = (typeof window !== 'undefined') ? window.LIHTCDataService : null;
+        if (service && typeof service.getCurrentPricing === 'function') {
+            try {
+                const pricing = await service.getCurrentPricing();
+                const price = pricing && pricing[creditType === '4%' ? '4percent' : '9percent'];
+                if (Number.isFinite(price)) return price;
+            } catch (error) {
+                console.warn('Current pricing unavailable, using default:', error.message);
+            }
+        }
+        return this.defaultPricing[creditType] || this.defaultPricing['9%'];
+    }
+
+    // Applicable fraction is the lesser of the unit fraction and the floor space fraction
+    calculateApplicableFraction(units = {}) {
+        const ratio = (num, den) => (den > 0 ? Math.min(1, Math.max(0, num / den)) : null);
+        const unitFraction = ratio(Number(units.lowIncomeUnits) || 0, Number(units.totalUnits) || 0);
+        const floorSpaceFraction = ratio(Number(units.lowIncomeSqft) || 0, Number(units.totalSqft) || 0);
+
+        let value;
+        let test;
+        if (unitFraction === null && floorSpaceFraction === null) {
+            value = 1;
+            test = 'assumed 100%';
+        } else if (floorSpaceFraction === null || (unitFraction !== null && unitFraction <= floorSpaceFraction)) {
+            value = unitFraction;
+            test = 'unit';
+        } else {
+            value = floorSpaceFraction;
+            test = 'floor space';
+        }
+
+        return { unitFraction, floorSpaceFraction, value, test };
+    }
+
+    // inputs:
+    //   creditType          - '9%' or '4%'
+    //   costs               - keys of this.useLabels
+    //   developerFeeEligiblePct - share of the developer fee included in basis (default 1)
+    //   federalGrants       - federal grants that reduce eligible basis
+    //   units               - { totalUnits, lowIncomeUnits, totalSqft, lowIncomeSqft }
+    //   qct, dda            - site location flags (130% boost)
+    //   stateDesignatedBoost - HFA discretionary boost (9% deals only)
+    //   price               - equity price per $1 of credit (defaults to current pricing)
+    //   maxAnnualCredit     - optional QAP award cap on annual credits
+    //   sources             - keys of this.sourceLabels
+    calculate(inputs = {}) {
+        const creditType = inputs.creditType === '4%' ? '4%' : '9%';
+        const costs = inputs.costs || {};
+        const amount = (v) => Math.max(0, Number(v) || 0);
+
+        // Uses
+        const useItems = Object.keys(this.useLabels).map(key => ({ key, label: this.useLabels[key], amount: amount(costs[key]) }));
+        const totalUses = useItems.reduce((sum, u) => sum + u.amount, 0);
+
+        // Eligible basis (land, reserves, commercial and ineligible soft costs excluded)
+        const feePct = inputs.developerFeeEligiblePct !== undefined ? Math.min(1, Math.max(0, Number(inputs.developerFeeEligiblePct))) : 1;
+        const federalGrants = amount(inputs.federalGrants);
+        const grossConstructionBasis = amount(costs.construction) + amount(costs.eligibleSoftCosts) + amount(costs.developerFee) * feePct;
+        const constructionBasis = Math.max(0, grossConstructionBasis - federalGrants);
+        const acquisitionBasis = amount(costs.buildingAcquisition);
+
+        // 130% boost: QCT/DDA for any deal; state-designated only for 9% deals
+        let boostReason = null;
+        if (inputs.qct) boostReason = 'Qualified Census Tract';
+        else if (inputs.dda) boostReason = 'Difficult Development Area';
+        else if (inputs.stateDesignatedBoost && creditType === '9%') boostReason = 'State-designated basis boost';
+        const boostFactor = boostReason ? this.basisBoost : 1;
+
+        const applicableFraction = this.calculateApplicableFraction(inputs.units);
+
+        // The boost applies to new construction / rehab basis, not acquisition basis
+        const qualifiedConstruction = constructionBasis * boostFactor * applicableFraction.value;
+        const qualifiedAcquisition = acquisitionBasis * applicableFraction.value;
+
+        const rate = Number(inputs.rate) || this.creditRates[creditType];
+        let annualCredit = qualifiedConstruction * rate + qualifiedAcquisition * this.acquisitionRate;
+        const maxAnnualCredit = Number(inputs.maxAnnualCredit) || null;
+        const capped = maxAnnualCredit !== null && annualCredit > maxAnnualCredit;
+        if (capped) annualCredit = maxAnnualCredit;
+        const tenYearCredits = annualCredit * this.creditYears;
+
+        const price = Number(inputs.price) || this.defaultPricing[creditType];
+        const investorShare = inputs.investorShare !== undefined ? Number(inputs.investorShare) : this.investorShare;
+        const equity = tenYearCredits * price * investorShare;
+
+        // Sources and gap (positive gap = funding shortfall)
+        const sourceValues = inputs.sources || {};
+        const sourceItems = [
+            { key: 'equity', label: `LIHTC equity (${creditType})`, amount: equity },
+            ...Object.keys(this.sourceLabels).map(key => ({ key, label: this.sourceLabels[key], amount: amount(sourceValues[key]) }))
+        ];
+        const totalSources = sourceItems.reduce((sum, s) => sum + s.amount, 0);
+
+        return {
+            creditType,
+            uses: { items: useItems, total: totalUses },
+            eligibleBasis: {
+                construction: constructionBasis,
+                acquisition: acquisitionBasis,
+                federalGrantReduction: Math.min(federalGrants, grossConstructionBasis),
+                total: constructionBasis + acquisitionBasis
+            },
+            applicableFraction,
+            boost: { applied: boostFactor > 1, factor: boostFactor, reason: boostReason },
+            qualifiedBasis: {
+                construction: qualifiedConstruction,
+                acquisition: qualifiedAcquisition,
+                total: qualifiedConstruction + qualifiedAcquisition
+            },
+            credits: {
+                rate,
+                acquisitionRate: this.acquisitionRate,
+                annual: annualCredit,
+                tenYear: tenYearCredits,
+                capped
+            },
+            equity: { price, investorShare, amount: equity },
+            sources: { items: sourceItems, total: totalSources },
+            gap: totalUses - totalSources,
+            equityPerUnit: inputs.units && inputs.units.totalUnits ? equity / inputs.units.totalUnits : null
+        };
+    }
+
+    // Same as calculate(), but fills in the current market price when none is given
+    async calculateAtCurrentPrice(inputs = {}) {
+        if (Number(inputs.price)) return this.calculate(inputs);
+        const price = await this.getCurrentPrice(inputs.creditType === '4%' ? '4%' : '9%');
+        return this.calculate({ ...inputs, price });
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.LIHTCDealCalculator = new LIHTCDealCalculator();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LIHTCDealCalculator };
+}
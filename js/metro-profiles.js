@@ -0,0 +1,261 @@
+// Metro (CBSA) Profiles
+// Metro and micro areas for every state from data/cbsa-metros.json, built from the Census CBSA
+// delineation file and ACS by .github/workflows/fetch-cbsa-metros.yml, joined with the canonical
+// allocation store (js/state-allocations.js) and the HUD LIHTC project file (js/hud-lihtc-database.js).
+//
+// Without the snapshot, CBSAs and their ACS figures come straight from the Census API. Member
+// counties are unknown then, so HUD project counts and the in-state share of multi-state metros
+// are not available.
+
+class MetroProfiles {
+    constructor() {
+        this.snapshotUrl = 'data/cbsa-metros.json';
+        this.apiKey = (typeof window !== 'undefined' && window.APP_CONFIG) ? window.APP_CONFIG.CENSUS_API_KEY : null;
+        this.acsVintages = [2023, 2022, 2021];
+        this.cbsaGeography = 'metropolitan statistical area/micropolitan statistical area';
+
+        // Same tables the workflow reads
+        this.acsVariables = {
+            population: 'B01003_001E',
+            renterHouseholds: 'B25070_001E',
+            burdened: ['B25070_007E', 'B25070_008E', 'B25070_009E', 'B25070_010E'],
+            renterOccupied: 'B25003_003E',
+            vacantForRent: 'B25004_002E',
+            rentedNotOccupied: 'B25004_003E'
+        };
+
+        this.doc = null;
+        this.loadedFrom = null;
+        this.loading = null;
+
+        this.projects = null; // { byCounty: { fips: totals }, byState: { AB: totals } }
+        this.projectsLoading = null;
+    }
+
+    async load() {
+        if (this.doc) return this;
+        if (!this.loading) {
+            this.loading = this.loadSnapshot()
+                .catch(error => {
+                    console.warn('CBSA snapshot unavailable, using the Census API:', error.message);
+                    return this.loadFromCensus();
+                })
+                .finally(() => { this.loading = null; });
+        }
+        return this.loading;
+    }
+
+    async loadSnapshot(url = this.snapshotUrl) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`CBSA snapshot unavailable (${res.status})`);
+        this.doc = await res.json();
+        this.loadedFrom = url;
+        return this;
+    }
+
+    // Snapshot-shaped doc from one ACS request. States come from the CBSA title
+    // ("Kansas City, MO-KS Metro Area").
+    async loadFromCensus() {
+        const vars = this.acsVariableList().join(',');
+        const key = this.apiKey ? `&key=${encodeURIComponent(this.apiKey)}` : '';
+
+        for (const vintage of this.acsVintages) {
+            try {
+                const url = `https://api.census.gov/data/${vintage}/acs/acs5?get=NAME,${vars}&for=${encodeURIComponent(this.cbsaGeography)}:*${key}`;
+                const res = await fetch(url);
+                if (!res.ok) throw new Error(`ACS ${vintage} returned ${res.status}`);
+                const [header, ...rows] = await res.json();
+
+                const cbsas = {};
+                const states = {};
+                rows.forEach(r => {
+                    const rec = Object.fromEntries(header.map((h, i) => [h, r[i]]));
+                    const match = /^(.*), ([A-Z]{2}(?:-[A-Z]{2})*) (Metro|Micro) Area$/.exec(rec.NAME || '');
+                    if (!match) return;
+
+                    const code = rec[this.cbsaGeography];
+                    cbsas[code] = {
+                        name: `${match[1]}, ${match[2]}`,
+                        type: match[3],
+                        states: match[2].split('-'),
+                        counties: {},
+                        ...this.summarize(rec)
+                    };
+                    cbsas[code].states.forEach(abbr => { (states[abbr] = states[abbr] || []).push(code); });
+                });
+                Object.values(states).forEach(codes => codes.sort((a, b) => (cbsas[b].population || 0) - (cbsas[a].population || 0)));
+
+                this.doc = {
+                    source: { delineation: `Census API CBSA list (ACS ${vintage})`, acs: `ACS ${vintage} 5-year`, acsVintage: vintage },
+                    states,
+                    cbsas
+                };
+                this.loadedFrom = 'Census API';
+                return this;
+            } catch (error) {
+                console.warn(`Metro profiles: ACS ${vintage} unavailable:`, error.message);
+            }
+        }
+        throw new Error('No CBSA source available');
+    }
+
+    acsVariableList() {
+        const v = this.acsVariables;
+        return [v.population, v.renterHouseholds, ...v.burdened, v.renterOccupied, v.vacantForRent, v.rentedNotOccupied];
+    }
+
+    // ACS row into { population, renterHouseholds, costBurdened, costBurdenRate, rentalVacancyRate }
+    summarize(rec) {
+        const v = this.acsVariables;
+        const n = (id) => {
+            const x = Number(rec[id]);
+            return Number.isFinite(x) && x >= 0 ? x : null; // negatives are Census annotation codes
+        };
+        const renterHouseholds = n(v.renterHouseholds);
+        const costBurdened = v.burdened.reduce((sum, id) => sum + (n(id) || 0), 0);
+        const forRent = n(v.vacantForRent) || 0;
+        const rentalStock = (n(v.renterOccupied) || 0) + forRent + (n(v.rentedNotOccupied) || 0);
+
+        return {
+            population: n(v.population),
+            renterHouseholds,
+            costBurdened,
+            costBurdenRate: renterHouseholds ? costBurdened / renterHouseholds : null,
+            rentalVacancyRate: rentalStock ? forRent / rentalStock : null
+        };
+    }
+
+    // HUD project totals by county and state. Resolves to null (and warns) when the HUD file
+    // is not available.
+    async loadProjects() {
+        if (this.projects) return this.projects;
+        if (!this.projectsLoading) {
+            const hud = typeof window !== 'undefined' ? window.HUDLIHTCDatabase : null;
+            this.projectsLoading = (hud ? (hud.records ? Promise.resolve(hud.records) : hud.loadSnapshot()) : Promise.reject(new Error('HUDLIHTCDatabase not loaded')))
+                .then(records => {
+                    this.projects = this.aggregateProjects(records);
+                    return this.projects;
+                })
+                .catch(error => {
+                    console.warn('HUD LIHTC projects unavailable for metro profiles:', error.message);
+                    return null;
+                })
+                .finally(() => { this.projectsLoading = null; });
+        }
+        return this.projectsLoading;
+    }
+
+    aggregateProjects(records) {
+        const byCounty = {};
+        const byState = {};
+        const add = (bucket, key, r) => {
+            const t = bucket[key] = bucket[key] || { projects: 0, units: 0, liUnits: 0, allocationAmount: 0 };
+            t.projects += 1;
+            t.units += r.units || 0;
+            t.liUnits += r.liUnits || 0;
+            t.allocationAmount += r.allocationAmount || 0;
+        };
+        (records || []).forEach(r => {
+            if (r.state) add(byState, r.state, r);
+            if (r.countyFips) add(byCounty, r.countyFips, r);
+        });
+        return { byCounty, byState };
+    }
+
+    // [{ code, name, type, population }] for one state, largest first
+    getMetros(abbr) {
+        if (!this.doc) return [];
+        return (this.doc.states[String(abbr).toUpperCase()] || []).map(code => {
+            const c = this.doc.cbsas[code];
+            return { code, name: c.name, type: c.type, population: c.population };
+        });
+    }
+
+    // { abbr, name, year, allocation, perCapita, nationalShare, population, metros, projects, units,
+    // liUnits } from the allocation store, this CBSA list and HUD (null where not loaded)
+    getStateProfile(abbr) {
+        abbr = String(abbr).toUpperCase();
+        const store = typeof window !== 'undefined' ? window.StateAllocations : null;
+        const dataset = store && store.current;
+        const s = dataset ? dataset.getState(abbr) : null;
+        if (!s) return null;
+
+        const stats = dataset.getStats();
+        const hud = this.projects ? this.projects.byState[abbr] || { projects: 0, units: 0, liUnits: 0 } : null;
+        return {
+            abbr,
+            name: s.name,
+            year: dataset.year,
+            allocation: s.allocation,
+            perCapita: s.perCapita,
+            nationalShare: stats.totalAllocation ? s.allocation / stats.totalAllocation : null,
+            population: s.population,
+            metros: this.doc ? (this.doc.states[abbr] || []).length : null,
+            projects: hud ? hud.projects : null,
+            units: hud ? hud.units : null,
+            liUnits: hud ? hud.liUnits : null
+        };
+    }
+
+    // One metro seen from one state. allocationShare is the metro's share of the state's population,
+    // applied to the state's ceiling (allocationEstimate) - states do not publish allocations by metro.
+    // HUD totals cover the metro's counties in this state.
+    getMetroProfile(code, abbr) {
+        const c = this.doc && this.doc.cbsas[code];
+        const state = this.getStateProfile(abbr);
+        if (!c || !state) return null;
+
+        const fips = Object.keys(c.counties || {});
+        const inState = fips.filter(f => c.counties[f].state === state.abbr);
+        let inStatePopulation = null;
+        if (inState.length) {
+            inStatePopulation = inState.reduce((sum, f) => sum + (Number(c.counties[f].population) || 0), 0);
+        } else if (c.states.length === 1) {
+            inStatePopulation = c.population;
+        }
+
+        const allocationShare = inStatePopulation && state.population ? Math.min(1, inStatePopulation / state.population) : null;
+
+        let hud = null;
+        if (this.projects && inState.length) {
+            hud = { projects: 0, units: 0, liUnits: 0 };
+            inState.forEach(f => {
+                const t = this.projects.byCounty[f];
+                if (!t) return;
+                hud.projects += t.projects;
+                hud.units += t.units;
+                hud.liUnits += t.liUnits;
+            });
+        }
+
+        return {
+            code,
+            name: c.name,
+            type: c.type,
+            states: c.states,
+            counties: inState.map(f => c.counties[f].name),
+            population: c.population,
+            inStatePopulation,
+            allocationShare,
+            allocationEstimate: allocationShare !== null ? Math.round(allocationShare * state.allocation) : null,
+            year: state.year,
+            projects: hud ? hud.projects : null,
+            units: hud ? hud.units : null,
+            liUnits: hud ? hud.liUnits : null,
+            unitShare: hud && state.units ? hud.units / state.units : null,
+            renterHouseholds: c.renterHouseholds,
+            costBurdenRate: c.costBurdenRate,
+            rentalVacancyRate: c.rentalVacancyRate,
+            acsVintage: this.doc.source.acsVintage || null
+        };
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.MetroProfiles = new MetroProfiles();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MetroProfiles };
+}
@@ -0,0 +1,164 @@
+/**
+ * preservation-panel.js — Colorado Deep Dive Year 15 / Year 30 expiration tracker
+ * Follows the LIHTC map's state and project filters (the 'lihtcmap:projects' event from co-lihtc-map.js)
+ * and renders window.Preservation results as a sortable project table, county rollups and a CSV export.
+ * Clicking a project row centers it on the map.
+ */
+(function () {
+  'use strict';
+
+  function $id(id) { return document.getElementById(id); }
+
+  const fmt = (n) => (Number.isFinite(n) ? Math.round(n).toLocaleString() : '—');
+  const COLORS = { 1: '#ef4444', 3: '#f59e0b', 5: '#facc15' };
+
+  let projects = null;      // { state, index, shown } from the map
+  let rows = [];
+  let sort = { key: 'year', dir: 1 };
+
+  const COLUMNS = [
+    { key: 'name', label: 'Project' },
+    { key: 'city', label: 'City' },
+    { key: 'county', label: 'County' },
+    { key: 'liUnits', label: 'LI units', num: true },
+    { key: 'pis', label: 'Placed in service', num: true },
+    { key: 'milestone', label: 'Milestone', num: true },
+    { key: 'year', label: 'Year', num: true },
+    { key: 'yearsLeft', label: 'Years left', num: true }
+  ];
+
+  function readOptions() {
+    const milestone = $id('presMilestone')?.value || '';
+    return {
+      horizon: Number($id('presHorizon')?.value) || 5,
+      milestones: milestone ? [Number(milestone)] : undefined
+    };
+  }
+
+  function cell(text, opts = {}) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    if (opts.num) td.style.textAlign = 'right';
+    if (opts.color) td.style.borderLeft = `4px solid ${opts.color}`;
+    return td;
+  }
+
+  function renderHead() {
+    const head = $id('presHead');
+    if (!head) return;
+    const tr = document.createElement('tr');
+    COLUMNS.forEach(c => {
+      const th = document.createElement('th');
+      th.textContent = c.label + (sort.key === c.key ? (sort.dir > 0 ? ' ▲' : ' ▼') : '');
+      th.style.cursor = 'pointer';
+      if (c.num) th.style.textAlign = 'right';
+      th.setAttribute('aria-sort', sort.key === c.key ? (sort.dir > 0 ? 'ascending' : 'descending') : 'none');
+      th.addEventListener('click', () => {
+        sort = { key: c.key, dir: sort.key === c.key ? -sort.dir : 1 };
+        renderTable();
+      });
+      tr.appendChild(th);
+    });
+    head.replaceChildren(tr);
+  }
+
+  function renderTable() {
+    renderHead();
+    const body = $id('presRows');
+    if (!body) return;
+    const col = COLUMNS.find(c => c.key === sort.key) || COLUMNS[6];
+    const sorted = rows.slice().sort((a, b) => {
+      const d = col.num ? a[col.key] - b[col.key] : String(a[col.key]).localeCompare(String(b[col.key]));
+      return d * sort.dir || a.year - b.year;
+    });
+
+    if (!sorted.length) {
+      const tr = document.createElement('tr');
+      const td = cell(projects && projects.index ? 'No projects reach Year 15 or Year 30 in this window.' : 'Waiting for the project layer…');
+      td.colSpan = COLUMNS.length;
+      tr.appendChild(td);
+      body.replaceChildren(tr);
+      return;
+    }
+
+    body.replaceChildren(...sorted.map(r => {
+      const tr = document.createElement('tr');
+      tr.style.cursor = 'pointer';
+      tr.title = 'Show on map';
+      tr.append(
+        cell(r.name, { color: COLORS[r.horizon] }),
+        cell(r.city),
+        cell(r.county || '—'),
+        cell(fmt(r.liUnits), { num: true }),
+        cell(r.pis + (r.estimated ? '*' : ''), { num: true }),
+        cell('Year ' + r.milestone, { num: true }),
+        cell(String(r.year), { num: true }),
+        cell(r.yearsLeft === 0 ? 'this year' : String(r.yearsLeft), { num: true })
+      );
+      tr.addEventListener('click', () => { if (window.LIHTCMap) window.LIHTCMap.focus(r.lat, r.lng); });
+      return tr;
+    }));
+  }
+
+  function renderCounties() {
+    const body = $id('presCounties');
+    if (!body) return;
+    const horizons = window.Preservation.horizons;
+    const counties = window.Preservation.countyRollup(rows);
+    body.replaceChildren(...counties.map(c => {
+      const tr = document.createElement('tr');
+      tr.append(cell(c.county), ...horizons.map(h =>
+        cell(`${fmt(c.byHorizon[h].projects)} · ${fmt(c.byHorizon[h].liUnits)} units`, { num: true })));
+      return tr;
+    }));
+  }
+
+  function render() {
+    if (!window.Preservation) return;
+    const opts = readOptions();
+    rows = projects && projects.index
+      ? window.Preservation.analyze(projects.index, { ...opts, indices: projects.shown })
+      : [];
+
+    const liUnits = rows.reduce((sum, r) => sum + r.liUnits, 0);
+    const summary = $id('presSummary');
+    if (summary) {
+      summary.textContent = projects && projects.state
+        ? `${fmt(rows.length)} ${projects.state.name} projects · ${fmt(liUnits)} low-income units reach Year ${opts.milestones ? opts.milestones[0] : '15 or 30'} within ${opts.horizon} year${opts.horizon === 1 ? '' : 's'}`
+        : '';
+    }
+    renderTable();
+    renderCounties();
+  }
+
+  function exportCSV() {
+    if (!rows.length) return;
+    const url = URL.createObjectURL(new Blob([window.Preservation.toCSV(rows)], { type: 'text/csv' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `lihtc-expirations-${projects && projects.state ? projects.state.abbr.toLowerCase() : 'projects'}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function init() {
+    if (!$id('presRows')) return;
+    document.addEventListener('lihtcmap:projects', (e) => {
+      projects = e.detail;
+      render();
+    });
+    if (window.LIHTCMap) projects = window.LIHTCMap.getProjects();
+
+    ['presHorizon', 'presMilestone'].forEach(id => $id(id)?.addEventListener('change', render));
+    $id('presExport')?.addEventListener('click', exportCSV);
+    render();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
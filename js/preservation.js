@@ -0,0 +1,135 @@
+// Preservation Tracker - Year 15 / Year 30 expirations for existing LIHTC properties
+// Works on a ProjectIndex (js/project-index.js). The 15-year compliance period (IRC §42(i)(1)) and the
+// extended use period (at least 15 more years, §42(h)(6)) are counted from the first year of the credit
+// period, taken as the year placed in service; the milestone year is the first year after the period
+// (placed in service + 15 / + 30), when the restriction can lapse or a qualified contract request opens.
+// Projects without YR_PIS (blank, or HUD's 8888 / 9999 for not yet placed in service / missing) use the
+// allocation year plus `pisLag` (flagged as estimated).
+
+class PreservationTracker {
+    constructor() {
+        this.milestones = [15, 30];
+        this.horizons = [1, 3, 5];
+        this.pisLag = 2; // typical years from allocation to placed in service
+    }
+
+    // { pis, estimated, y15, y30 } for project i, or null without a placed-in-service or allocation year
+    milestoneYears(index, i) {
+        const known = year => (year >= 1987 && year < 2100 ? year : 0);
+        let pis = known(index.yearPIS[i]);
+        let estimated = false;
+        const alloc = index.yearAlloc ? known(index.yearAlloc[i]) : 0;
+        if (!pis && alloc) {
+            pis = alloc + this.pisLag;
+            estimated = true;
+        }
+        if (!pis) return null;
+        return { pis, estimated, y15: pis + 15, y30: pis + 30 };
+    }
+
+    // Next milestone on or after asOf: { milestone, year, yearsLeft } or null once both have passed
+    nextMilestone(years, asOf, milestones = this.milestones) {
+        for (const m of milestones.slice().sort((a, b) => a - b)) {
+            const year = years[`y${m}`];
+            if (year >= asOf) return { milestone: m, year, yearsLeft: year - asOf };
+        }
+        return null;
+    }
+
+    // Smallest horizon (1 / 3 / 5) that contains yearsLeft, else 0
+    horizonFor(yearsLeft) {
+        const h = this.horizons.find(limit => yearsLeft <= limit);
+        return h === undefined ? 0 : h;
+    }
+
+    // Horizon per project as a Uint8Array aligned with the index (0 = nothing due within the longest
+    // horizon), for map styling
+    horizonCodes(index, { asOf = new Date().getFullYear(), milestones = this.milestones } = {}) {
+        const codes = new Uint8Array(index.size);
+        for (let i = 0; i < index.size; i++) {
+            const years = this.milestoneYears(index, i);
+            const next = years && this.nextMilestone(years, asOf, milestones);
+            if (next) codes[i] = this.horizonFor(next.yearsLeft);
+        }
+        return codes;
+    }
+
+    // Projects with a milestone due within `horizon` years, soonest first.
+    // options: { asOf, horizon (default 5), milestones ([15, 30]), indices (limit to a filtered set) }
+    // Rows: { i, name, address, city, county, units, liUnits, pis, estimated, y15, y30, milestone,
+    // year, yearsLeft, horizon, lat, lng }
+    analyze(index, options = {}) {
+        const asOf = options.asOf || new Date().getFullYear();
+        const horizon = options.horizon || Math.max(...this.horizons);
+        const milestones = options.milestones || this.milestones;
+        const indices = options.indices || Array.from({ length: index.size }, (_, i) => i);
+        const rows = [];
+
+        for (let k = 0; k < indices.length; k++) {
+            const i = indices[k];
+            const years = this.milestoneYears(index, i);
+            const next = years && this.nextMilestone(years, asOf, milestones);
+            if (!next || next.yearsLeft > horizon) continue;
+
+            const p = (index.properties && index.properties[i]) || {};
+            rows.push({
+                i,
+                name: p.PROJECT || p.PROJ_NM || 'LIHTC Project',
+                address: p.STD_ADDR || p.PROJ_ADD || '',
+                city: p.STD_CITY || p.PROJ_CTY || '',
+                county: p.CNTY_NAME || '',
+                hudId: p.HUD_ID || '',
+                units: index.units[i],
+                liUnits: index.liUnits[i],
+                ...years,
+                ...next,
+                horizon: this.horizonFor(next.yearsLeft),
+                lat: index.lat[i],
+                lng: index.lng[i]
+            });
+        }
+        return rows.sort((a, b) => a.year - b.year || b.liUnits - a.liUnits);
+    }
+
+    // County totals over analyze() rows: [{ county, projects, liUnits, byHorizon: { 1: { projects, liUnits }, ... } }]
+    // with the most low-income units at risk first. A row counts toward every horizon that contains it.
+    countyRollup(rows) {
+        const byCounty = new Map();
+        rows.forEach(r => {
+            const key = r.county || 'Unknown';
+            let c = byCounty.get(key);
+            if (!c) {
+                c = { county: key, projects: 0, liUnits: 0, byHorizon: Object.fromEntries(this.horizons.map(h => [h, { projects: 0, liUnits: 0 }])) };
+                byCounty.set(key, c);
+            }
+            c.projects++;
+            c.liUnits += r.liUnits;
+            this.horizons.forEach(h => {
+                if (r.yearsLeft <= h) {
+                    c.byHorizon[h].projects++;
+                    c.byHorizon[h].liUnits += r.liUnits;
+                }
+            });
+        });
+        return Array.from(byCounty.values()).sort((a, b) => b.liUnits - a.liUnits);
+    }
+
+    // analyze() rows as CSV, for the preservation spreadsheet
+    toCSV(rows) {
+        const cols = ['hudId', 'name', 'address', 'city', 'county', 'units', 'liUnits', 'pis', 'estimated', 'y15', 'y30', 'milestone', 'year', 'yearsLeft'];
+        const cell = v => {
+            const s = v === undefined || v === null ? '' : String(v);
+            return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+        };
+        return [cols.join(','), ...rows.map(r => cols.map(c => cell(r[c])).join(','))].join('\n');
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.Preservation = new PreservationTracker();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PreservationTracker };
+}
@@ -0,0 +1,305 @@
+// LIHTC Project Index
+// Columnar store for large project layers (the full HUD file is ~50,000 points nationally). Coordinates,
+// unit counts and QCT/DDA flags live in typed arrays so filtering is a flat scan and the columns can be
+// handed to a Web Worker as transferables (columns() / ProjectIndex.fromColumns); GeoJSON properties
+// are kept on the main thread only, for popups.
+//
+// HUD field codes: CREDIT 1 = 30% present value (4%), 2 = 70% present value (9%), 3 = both;
+// NON_PROF and TRGT_* 1 = yes, 2 = no. The embedded fallback records use '9%' / '4%' and booleans.
+//
+// cluster() groups the filtered points that fall in the map viewport on a screen-space grid, so a map
+// draws at most a few hundred markers however many projects are loaded.
+
+class ProjectIndex {
+    constructor(features = []) {
+        this.properties = [];
+        this.eligibilityKey = null;
+        this.build(features);
+    }
+
+    // Point features into columns; features without usable coordinates are skipped
+    build(features) {
+        const points = (features || []).filter(f => {
+            const c = f && f.geometry && f.geometry.type === 'Point' ? f.geometry.coordinates : null;
+            return c && Number.isFinite(Number(c[0])) && Number.isFinite(Number(c[1])) && (c[0] || c[1]);
+        });
+        const n = points.length;
+
+        this.size = n;
+        this.lat = new Float64Array(n);
+        this.lng = new Float64Array(n);
+        this.x = new Float64Array(n); // Web Mercator, 0-1 across the world
+        this.y = new Float64Array(n);
+        this.units = new Uint32Array(n);
+        this.liUnits = new Uint32Array(n);
+        this.yearPIS = new Uint16Array(n);
+        this.yearAlloc = new Uint16Array(n);
+        this.credit = new Uint8Array(n);    // bit 1 = 4%, bit 2 = 9%
+        this.target = new Uint8Array(n);    // bits from ProjectIndex.TARGETS
+        this.nonProfit = new Int8Array(n);  // 1 / 0, -1 not reported
+        // 1 / 0 from the QCT and DDA polygons once applyEligibility has run, else the HUD record's
+        // own flag; -1 when neither is known
+        this.qct = new Int8Array(n);
+        this.dda = new Int8Array(n);
+        this.properties = new Array(n);
+
+        const flag = v => (v === undefined || v === null || v === '' ? -1 : (v === 1 || v === '1' || v === 'Y' || v === true ? 1 : 0));
+        // HUD DDA codes: 0 none, 1-4 metro / non-metro / GO Zone DDA types
+        const ddaFlag = v => (typeof v !== 'boolean' && v !== '' && v !== null && Number.isFinite(Number(v)) ? (Number(v) !== 0 ? 1 : 0) : flag(v));
+        // 8888 / 9999 mean "not yet placed in service" / "missing": stored as 0 like any unknown year
+        const year = v => (Number(v) >= 1987 && Number(v) < 2100 ? Number(v) : 0);
+        points.forEach((f, i) => {
+            const p = f.properties || {};
+            const [lng, lat] = f.geometry.coordinates.map(Number);
+            this.lat[i] = lat;
+            this.lng[i] = lng;
+            this.x[i] = ProjectIndex.mercatorX(lng);
+            this.y[i] = ProjectIndex.mercatorY(lat);
+            this.units[i] = Math.max(0, Number(p.N_UNITS) || 0);
+            this.liUnits[i] = Math.max(0, Number(p.LI_UNITS) || 0);
+            this.yearPIS[i] = year(p.YR_PIS);
+            this.yearAlloc[i] = year(p.YR_ALLOC);
+            this.credit[i] = ProjectIndex.creditBits(p.CREDIT);
+            this.target[i] = ProjectIndex.TARGETS.reduce((bits, t, k) => (flag(p[t.field]) === 1 ? bits | (1 << k) : bits), 0);
+            this.nonProfit[i] = flag(p.NON_PROF === 2 || p.NON_PROF === '2' ? 0 : p.NON_PROF);
+            this.qct[i] = flag(p.QCT);
+            this.dda[i] = ddaFlag(p.DDA);
+            this.properties[i] = p;
+        });
+        this.eligibilityKey = null;
+        return this;
+    }
+
+    static creditBits(v) {
+        const s = String(v === undefined || v === null ? '' : v).trim().toUpperCase();
+        if (s === '1' || s === '4%' || s === '30% PV') return 1;
+        if (s === '2' || s === '9%' || s === '70% PV') return 2;
+        if (s === '3' || s === 'BOTH') return 3;
+        return 0;
+    }
+
+    static mercatorX(lng) {
+        return (lng + 180) / 360;
+    }
+
+    static mercatorY(lat) {
+        const s = Math.sin(Math.max(-85.05, Math.min(85.05, lat)) * Math.PI / 180);
+        return 0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI);
+    }
+
+    // Replace the HUD QCT/DDA flags with point-in-polygon results. lookup(lat, lng) returns
+    // { qct, dda } with null for a layer that is not loaded (SiteEligibility.lookup). Skipped when
+    // `key` (the loaded layers' identity) matches the last run.
+    applyEligibility(lookup, key) {
+        if (key !== undefined && key === this.eligibilityKey) return false;
+        for (let i = 0; i < this.size; i++) {
+            const r = lookup(this.lat[i], this.lng[i]);
+            if (!r) continue;
+            if (r.qct !== null) this.qct[i] = r.qct ? 1 : 0;
+            if (r.dda !== null) this.dda[i] = r.dda ? 1 : 0;
+        }
+        this.eligibilityKey = key === undefined ? null : key;
+        return true;
+    }
+
+    // One test per active criterion: [[key, (i) => boolean]]. Criteria (all optional):
+    //   qct, dda, nonProfit   true to require
+    //   pis, alloc, units     [min, max] placed-in-service year, allocation year, total units (either end null)
+    //   liShare               minimum low-income share of units (0-1)
+    //   credit                '4' | '9'
+    //   target                'family' | 'senior' | 'homeless' | 'disabled'
+    //   nearing               15 | 30: that milestone (placed in service + 15 / 30 years) falls within
+    //                         `nearingWithin` years (default 3) from `asOf` (default this year)
+    tests(criteria = {}) {
+        const tests = [];
+        const range = (key, col) => {
+            const [min, max] = criteria[key] || [];
+            if (min == null && max == null) return;
+            tests.push([key, i => col[i] > 0 && (min == null || col[i] >= min) && (max == null || col[i] <= max)]);
+        };
+
+        if (criteria.qct) tests.push(['qct', i => this.qct[i] === 1]);
+        if (criteria.dda) tests.push(['dda', i => this.dda[i] === 1]);
+        if (criteria.nonProfit) tests.push(['nonProfit', i => this.nonProfit[i] === 1]);
+        range('pis', this.yearPIS);
+        range('alloc', this.yearAlloc);
+        range('units', this.units);
+        if (criteria.liShare) tests.push(['liShare', i => this.units[i] > 0 && this.liUnits[i] / this.units[i] >= criteria.liShare]);
+        if (criteria.credit) {
+            const bit = criteria.credit === '4' ? 1 : 2;
+            tests.push(['credit', i => (this.credit[i] & bit) !== 0]);
+        }
+        if (criteria.target) {
+            const k = ProjectIndex.TARGETS.findIndex(t => t.key === criteria.target);
+            if (k >= 0) tests.push(['target', i => (this.target[i] & (1 << k)) !== 0]);
+        }
+        if (criteria.nearing) tests.push(['nearing', this.nearingTest(Number(criteria.nearing), criteria)]);
+        return tests;
+    }
+
+    // (i) => true when project i reaches Year `milestone` within the window. Projects without a
+    // placed-in-service year count from the allocation year plus pisLag, as Preservation.milestoneYears
+    // does (js/preservation.js), so the filter and the preservation table agree.
+    nearingTest(milestone, { asOf = new Date().getFullYear(), nearingWithin = 3, pisLag = 2 } = {}) {
+        return i => {
+            const pis = this.yearPIS[i] || (this.yearAlloc[i] ? this.yearAlloc[i] + pisLag : 0);
+            if (!pis) return false;
+            const year = pis + milestone;
+            return year >= asOf && year <= asOf + nearingWithin;
+        };
+    }
+
+    // Indices of the projects that pass every criterion (see tests)
+    filter(criteria = {}) {
+        const tests = this.tests(criteria).map(t => t[1]);
+        const out = new Uint32Array(this.size);
+        let count = 0;
+        for (let i = 0; i < this.size; i++) {
+            let pass = true;
+            for (let t = 0; t < tests.length && pass; t++) pass = tests[t](i);
+            if (pass) out[count++] = i;
+        }
+        return out.subarray(0, count);
+    }
+
+    // Live counts for a filter panel, in one pass. Returns
+    //   { matched, without: { key: n }, options: { facet: { value: n } } }
+    // without[key] is how many projects would match with that active criterion cleared. options counts
+    // each facet value among the projects passing every other criterion: qct / dda / nonProfit
+    // ({ yes }), credit ({ 4, 9 }), target ({ family, senior, ... }) and nearing ({ 15, 30 }).
+    facetCounts(criteria = {}) {
+        const tests = this.tests(criteria);
+        const keys = tests.map(t => t[0]);
+        const without = Object.fromEntries(keys.map(k => [k, 0]));
+        const options = {
+            qct: { yes: 0 }, dda: { yes: 0 }, nonProfit: { yes: 0 },
+            credit: { 4: 0, 9: 0 },
+            target: Object.fromEntries(ProjectIndex.TARGETS.map(t => [t.key, 0])),
+            nearing: { 15: 0, 30: 0 }
+        };
+        const near15 = this.nearingTest(15, criteria);
+        const near30 = this.nearingTest(30, criteria);
+        let matched = 0;
+
+        for (let i = 0; i < this.size; i++) {
+            let failed = null;
+            let fails = 0;
+            for (let t = 0; t < tests.length; t++) {
+                if (!tests[t][1](i)) {
+                    failed = tests[t][0];
+                    if (++fails > 1) break;
+                }
+            }
+            if (fails > 1) continue;
+            if (fails === 0) {
+                matched++;
+                keys.forEach(k => { without[k]++; });
+            } else {
+                without[failed]++;
+            }
+
+            // Count this project's values for every facet whose other criteria it passes
+            const passes = facet => fails === 0 || failed === facet;
+            if (passes('qct') && this.qct[i] === 1) options.qct.yes++;
+            if (passes('dda') && this.dda[i] === 1) options.dda.yes++;
+            if (passes('nonProfit') && this.nonProfit[i] === 1) options.nonProfit.yes++;
+            if (passes('credit')) {
+                if (this.credit[i] & 1) options.credit[4]++;
+                if (this.credit[i] & 2) options.credit[9]++;
+            }
+            if (passes('target') && this.target[i]) {
+                ProjectIndex.TARGETS.forEach((t, k) => { if (this.target[i] & (1 << k)) options.target[t.key]++; });
+            }
+            if (passes('nearing')) {
+                if (near15(i)) options.nearing[15]++;
+                if (near30(i)) options.nearing[30]++;
+            }
+        }
+        return { matched, without, options };
+    }
+
+    // Grid clusters over `indices` inside bounds { south, west, north, east } at a map zoom level.
+    // Cells are `cellPx` screen pixels square (256 px tiles). Returns
+    // [{ lat, lng, count, units, liUnits, first, bounds: [[s, w], [n, e]] }]; count 1 entries are single
+    // projects (first is the index). At or above `options.disableAt` every project is its own entry.
+    cluster(indices, bounds, zoom, options = {}) {
+        const cellPx = options.cellPx || 60;
+        const single = options.disableAt !== undefined && zoom >= options.disableAt;
+        const scale = 256 * Math.pow(2, zoom) / cellPx;
+        const cells = new Map();
+
+        for (let k = 0; k < indices.length; k++) {
+            const i = indices[k];
+            const lat = this.lat[i];
+            const lng = this.lng[i];
+            if (bounds && (lat < bounds.south || lat > bounds.north || lng < bounds.west || lng > bounds.east)) continue;
+
+            const key = single ? i : Math.floor(this.x[i] * scale) * 1e7 + Math.floor(this.y[i] * scale);
+            let c = cells.get(key);
+            if (!c) {
+                c = { latSum: 0, lngSum: 0, count: 0, units: 0, liUnits: 0, first: i, s: lat, w: lng, n: lat, e: lng };
+                cells.set(key, c);
+            }
+            c.latSum += lat;
+            c.lngSum += lng;
+            c.count++;
+            c.units += this.units[i];
+            c.liUnits += this.liUnits[i];
+            if (lat < c.s) c.s = lat;
+            if (lat > c.n) c.n = lat;
+            if (lng < c.w) c.w = lng;
+            if (lng > c.e) c.e = lng;
+        }
+
+        return Array.from(cells.values(), c => ({
+            lat: c.count === 1 ? this.lat[c.first] : c.latSum / c.count,
+            lng: c.count === 1 ? this.lng[c.first] : c.lngSum / c.count,
+            count: c.count,
+            units: c.units,
+            liUnits: c.liUnits,
+            first: c.first,
+            bounds: [[c.s, c.w], [c.n, c.e]]
+        }));
+    }
+
+    // { units, liUnits } over indices
+    totals(indices) {
+        let units = 0;
+        let liUnits = 0;
+        for (let k = 0; k < indices.length; k++) {
+            units += this.units[indices[k]];
+            liUnits += this.liUnits[indices[k]];
+        }
+        return { units, liUnits };
+    }
+
+    // Typed-array columns (structured-clone / transferable); properties stay behind
+    columns() {
+        const { size, lat, lng, x, y, units, liUnits, yearPIS, yearAlloc, credit, target, nonProfit, qct, dda } = this;
+        return { size, lat, lng, x, y, units, liUnits, yearPIS, yearAlloc, credit, target, nonProfit, qct, dda };
+    }
+
+    static fromColumns(cols) {
+        const index = new ProjectIndex();
+        Object.assign(index, cols);
+        index.properties = new Array(cols.size).fill(null);
+        return index;
+    }
+}
+
+// Target population flags in the HUD file, in bit order
+ProjectIndex.TARGETS = [
+    { key: 'family', label: 'Family', field: 'TRGT_FAM' },
+    { key: 'senior', label: 'Senior', field: 'TRGT_ELD' },
+    { key: 'homeless', label: 'Homeless', field: 'TRGT_HML' },
+    { key: 'disabled', label: 'Disabled', field: 'TRGT_DIS' }
+];
+
+// Export (the constructor: each map builds its own index)
+if (typeof window !== 'undefined') {
+    window.ProjectIndex = ProjectIndex;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProjectIndex };
+}
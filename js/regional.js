@@ -9,6 +9,10 @@ document.addEventListener('DOMContentLoaded', function() {
         info: '#3498db'
     };
     
+    const stateSelect = document.getElementById('state-select');
+    const metroSelect = document.getElementById('metro-select');
+    const stateProfile = document.getElementById('state-profile');
+    
     // Initialize Leaflet map
     const map = L.map('map').setView([39.8283, -98.5795], 4);
     
@@ -16,84 +20,322 @@ document.addEventListener('DOMContentLoaded', function() {
         attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
     }).addTo(map);
     
-    // Add state markers (simplified - in production would use GeoJSON)
-    const stateData = [
-        { name: 'California', lat: 36.7783, lng: -119.4179, allocation: 1842, perCapita: 47 },
-        { name: 'New York', lat: 43.2994, lng: -74.2179, allocation: 1456, perCapita: 75 },
-        { name: 'Texas', lat: 31.9686, lng: -99.9018, allocation: 1289, perCapita: 44 },
-        { name: 'Florida', lat: 27.6648, lng: -81.5158, allocation: 987, perCapita: 46 },
-        { name: 'Illinois', lat: 40.6331, lng: -89.3985, allocation: 845, perCapita: 67 }
-    ];
+    // State / county choropleth
+    // Boundaries from us-atlas (TopoJSON, needs topojson-client); values from the allocation store
+    // (js/state-allocations.js) and ACS renter data (js/housing-need.js); classes from
+    // ChoroplethTimeline.makeScale (js/choropleth-timeline.js).
+    const ATLAS_URL = 'https://cdn.jsdelivr.net/npm/us-atlas@3/';
+    const need = window.HousingNeed;
+    
+    const fmtMoney = v => (v >= 1e6 ? '$' + (v / 1e6).toFixed(1) + 'M' : '$' + Math.round(v).toLocaleString());
+    const fmtDollars = v => '$' + (v >= 100 ? Math.round(v).toLocaleString() : v.toFixed(2));
+    const fmtCount = v => Math.round(v).toLocaleString();
+    const fmtShare = v => (v * 100).toFixed(1) + '%';
+    
+    // State metrics take a StateAllocations state row; county metrics an ACS county record
+    const choroplethMetrics = {
+        state: {
+            allocation: { label: 'Annual allocation', format: fmtMoney, value: s => s.allocation },
+            totalAuthority: { label: 'Total credit authority', format: fmtMoney, value: s => s.totalAuthority },
+            perCapita: { label: 'Allocation per capita', format: fmtDollars, value: s => s.perCapita },
+            costBurdened: { label: 'Credits per cost-burdened renter household', acs: true, format: fmtDollars, value: s => need.ratio(s, 'costBurdened') },
+            eli: { label: 'Credits per ELI renter household', acs: true, format: fmtDollars, value: s => need.ratio(s, 'eli') },
+            below60: { label: 'Credits per renter household below 60% AMI', acs: true, format: fmtDollars, value: s => need.ratio(s, 'below60') },
+            costBurdenRate: { label: 'Cost-burdened renter share', acs: true, format: fmtShare, value: s => (need.getState(s.abbr) || {}).costBurdenRate }
+        },
+        county: {
+            costBurdenRate: { label: 'Cost-burdened renter share', format: fmtShare, value: c => c.costBurdenRate },
+            costBurdened: { label: 'Cost-burdened renter households', format: fmtCount, value: c => c.costBurdened },
+            eli: { label: 'ELI renter households (≤30% AMI)', format: fmtCount, value: c => c.eli },
+            below60: { label: 'Renter households below 60% AMI', format: fmtCount, value: c => c.below60 },
+            renterHouseholds: { label: 'Renter households', format: fmtCount, value: c => c.renterHouseholds }
+        }
+    };
+    
+    const choropleth = { level: 'state', metric: 'allocation', method: 'quantile', layer: null, geometry: {}, renders: 0 };
+    let choroplethControls = null;
+    let choroplethLegend = null;
+    
+    function loadGeometry(level) {
+        if (!choropleth.geometry[level]) {
+            const file = level === 'county' ? 'counties-10m.json' : 'states-10m.json';
+            choropleth.geometry[level] = fetch(ATLAS_URL + file)
+                .then(res => {
+                    if (!res.ok) throw new Error(`Boundaries unavailable (${res.status})`);
+                    return res.json();
+                })
+                .then(topo => topojson.feature(topo, topo.objects[level === 'county' ? 'counties' : 'states']).features)
+                .catch(error => {
+                    choropleth.geometry[level] = null;
+                    throw error;
+                });
+        }
+        return choropleth.geometry[level];
+    }
+    
+    function selectEl(name, options, value) {
+        const select = L.DomUtil.create('select', 'choropleth-select');
+        select.name = name;
+        select.setAttribute('aria-label', name);
+        select.innerHTML = options.map(o =>
+            `<option value="${o.value}"${o.value === value ? ' selected' : ''}${o.disabled ? ' disabled' : ''}>${o.label}</option>`
+        ).join('');
+        return select;
+    }
+    
+    function metricOptions(level) {
+        return Object.entries(choroplethMetrics[level]).map(([value, m]) => ({
+            value,
+            label: m.label,
+            disabled: !!m.acs && !(need && need.isLoaded())
+        }));
+    }
+    
+    function addChoroplethControls() {
+        choroplethControls = L.control({ position: 'topright' });
+        choroplethControls.onAdd = function() {
+            const div = L.DomUtil.create('div', 'choropleth-control');
+            div.style.cssText = 'background:#fff;padding:8px;border-radius:6px;box-shadow:0 1px 4px rgba(0,0,0,0.3);display:grid;gap:6px;font-size:12px;';
+            
+            const level = selectEl('Geography', [
+                { value: 'state', label: 'States' },
+                { value: 'county', label: 'Counties' }
+            ], choropleth.level);
+            const metric = selectEl('Metric', metricOptions(choropleth.level), choropleth.metric);
+            const method = selectEl('Classification', [
+                { value: 'quantile', label: 'Quantile' },
+                { value: 'jenks', label: 'Natural breaks (Jenks)' },
+                { value: 'equal', label: 'Equal interval' }
+            ], choropleth.method);
+            
+            level.addEventListener('change', function() {
+                choropleth.level = this.value;
+                metric.innerHTML = selectEl('Metric', metricOptions(choropleth.level)).innerHTML;
+                choropleth.metric = metric.value;
+                renderChoropleth();
+            });
+            metric.addEventListener('change', function() {
+                choropleth.metric = this.value;
+                renderChoropleth();
+            });
+            method.addEventListener('change', function() {
+                choropleth.method = this.value;
+                renderChoropleth();
+            });
+            
+            div.append(level, metric, method);
+            L.DomEvent.disableClickPropagation(div);
+            return div;
+        };
+        choroplethControls.addTo(map);
+        
+        choroplethLegend = L.control({ position: 'bottomright' });
+        choroplethLegend.onAdd = function() {
+            const div = L.DomUtil.create('div', 'choropleth-legend');
+            div.style.cssText = 'background:#fff;padding:8px 10px;border-radius:6px;box-shadow:0 1px 4px rgba(0,0,0,0.3);font-size:12px;line-height:18px;';
+            return div;
+        };
+        choroplethLegend.addTo(map);
+    }
+    
+    function renderLegend(title, scale, note) {
+        const div = choroplethLegend && choroplethLegend.getContainer();
+        if (!div) return;
+        div.innerHTML = `<strong>${title}</strong><br>` +
+            (scale ? scale.legend.map(item =>
+                `<span style="display:inline-block;width:14px;height:14px;margin-right:6px;vertical-align:-2px;background:${item.color}"></span>${item.label}`
+            ).join('<br>') : '') +
+            (note ? `<div style="margin-top:4px;color:#666">${note}</div>` : '');
+    }
+    
+    // Click-through: choose the state in the selector so its change handler fills the profile panel
+    function openStateProfile(abbr) {
+        if (!stateSelect || !abbr) return;
+        if (!Array.from(stateSelect.options).some(o => o.value === abbr)) {
+            const option = document.createElement('option');
+            const s = window.StateAllocations && window.StateAllocations.getState(abbr);
+            option.value = abbr;
+            option.textContent = s ? s.name : abbr;
+            stateSelect.appendChild(option);
+        }
+        stateSelect.value = abbr;
+        stateSelect.dispatchEvent(new Event('change'));
+        if (stateProfile) stateProfile.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
     
-    stateData.forEach(state => {
-        const radius = Math.sqrt(state.allocation) * 0.8;
-        const circle = L.circle([state.lat, state.lng], {
-            color: colors.primary,
-            fillColor: colors.accent,
-            fillOpacity: 0.5,
-            radius: radius * 1000
-        }).addTo(map);
+    async function renderChoropleth() {
+        const level = choropleth.level;
+        const def = choroplethMetrics[level][choropleth.metric];
+        const dataset = window.StateAllocations && window.StateAllocations.current;
+        if (!def || !dataset) return;
+        const render = ++choropleth.renders;
         
-        circle.bindPopup(`
-            <strong>${state.name}</strong><br>
-            Total Allocation: $${state.allocation}M<br>
-            Per Capita: $${state.perCapita}
-        `);
-    });
+        try {
+            if (level === 'county') await need.loadCounties();
+            const features = await loadGeometry(level);
+            if (render !== choropleth.renders) return; // superseded while loading
+            
+            // Counties: limit to the selected state so classes describe that state
+            const selected = stateSelect && stateSelect.value;
+            const shown = level === 'county' && selected
+                ? features.filter(f => need.fipsToAbbr[String(f.id).padStart(5, '0').slice(0, 2)] === selected)
+                : features;
+            
+            const recordFor = (f) => level === 'county'
+                ? need.getCounty(f.id)
+                : dataset.states[need.fipsToAbbr[String(f.id).padStart(2, '0')]];
+            const valueFor = (f) => {
+                const rec = recordFor(f);
+                const v = rec ? def.value(rec) : null;
+                return v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Number(v);
+            };
+            
+            const scale = window.ChoroplethTimeline.makeScale(shown.map(valueFor), {
+                method: choropleth.method,
+                format: def.format
+            });
+            
+            if (choropleth.layer) map.removeLayer(choropleth.layer);
+            choropleth.layer = L.geoJSON(shown, {
+                renderer: level === 'county' ? L.canvas() : undefined,
+                style: f => {
+                    const v = valueFor(f);
+                    return {
+                        fillColor: v === null ? '#cccccc' : scale.color(v),
+                        fillOpacity: 0.75,
+                        color: '#ffffff',
+                        weight: level === 'county' ? 0.3 : 1
+                    };
+                },
+                onEachFeature: (f, layer) => {
+                    const rec = recordFor(f);
+                    const v = valueFor(f);
+                    layer.bindTooltip(`<strong>${rec ? rec.name : f.properties.name}</strong><br>${def.label}: ${v === null ? 'n/a' : def.format(v)}`, { sticky: true });
+                    layer.on('click', () => {
+                        const abbr = level === 'county' ? (rec && rec.abbr) : need.fipsToAbbr[String(f.id).padStart(2, '0')];
+                        openStateProfile(abbr);
+                    });
+                }
+            }).addTo(map);
+            
+            if (level === 'county' && selected) map.fitBounds(choropleth.layer.getBounds());
+            
+            const vintage = level === 'county' ? need.countyVintage : need.vintage;
+            renderLegend(def.label, scale, def.acs || level === 'county' ? `ACS ${vintage} 5-year` : `${dataset.year} allocations`);
+        } catch (error) {
+            console.error('Choropleth render failed:', error);
+            renderLegend(def.label, null, 'Data unavailable');
+        }
+    }
+    
+    if (window.StateAllocations && window.ChoroplethTimeline && need && typeof topojson !== 'undefined') {
+        addChoroplethControls();
+        window.StateAllocations.ready.then(renderChoropleth);
+        
+        // County view follows the selected state
+        if (stateSelect) {
+            stateSelect.addEventListener('change', () => {
+                if (choropleth.level === 'county') renderChoropleth();
+            });
+        }
+        
+        // ACS state metrics become selectable once the Census API answers
+        need.load()
+            .then(() => {
+                const metric = choroplethControls.getContainer().querySelector('select[name="Metric"]');
+                if (metric && choropleth.level === 'state') metric.innerHTML = selectEl('Metric', metricOptions('state'), choropleth.metric).innerHTML;
+            })
+            .catch(error => console.warn('ACS metrics unavailable:', error));
+    } else {
+        console.error('Choropleth needs Leaflet, topojson-client, state-allocations.js, housing-need.js and choropleth-timeline.js');
+    }
     
     // Per Capita Chart
+    // Top 10 states by credits per resident from the allocation store, or per household in need
+    // when #per-capita-metric picks an ACS measure (js/housing-need.js)
     const perCapitaCtx = document.getElementById('per-capita-chart');
-    if (perCapitaCtx) {
-        new Chart(perCapitaCtx, {
+    const perCapitaMetric = document.getElementById('per-capita-metric');
+    const perCapitaSubtitle = document.getElementById('per-capita-subtitle');
+    let perCapitaChart = null;
+    
+    function renderPerCapitaChart(measure) {
+        const need = window.HousingNeed;
+        const dataset = window.StateAllocations && window.StateAllocations.current;
+        if (!perCapitaCtx || !need || !dataset) return;
+        
+        const def = need.measures[measure];
+        const top = need.rank(dataset, measure).slice(0, 10);
+        
+        if (perCapitaSubtitle) {
+            perCapitaSubtitle.textContent = measure === 'perCapita'
+                ? 'Highest per capita allocation'
+                : `Highest annual credit authority ${def.label.toLowerCase()} (ACS ${need.vintage} 5-year)`;
+        }
+        
+        if (perCapitaChart) perCapitaChart.destroy();
+        perCapitaChart = new Chart(perCapitaCtx, {
             type: 'bar',
             data: {
-                labels: ['VT', 'ME', 'ND', 'MT', 'NY', 'MA', 'IL', 'RI', 'CT', 'HI', 'OR', 'WA', 'CA', 'FL', 'TX'],
+                labels: top.map(s => s.abbr),
                 datasets: [{
-                    label: 'Per Capita Allocation ($)',
-                    data: [89, 82, 78, 76, 75, 72, 67, 65, 63, 61, 58, 54, 47, 46, 44],
-                    backgroundColor: colors.primary,
-                    borderColor: colors.primaryLight,
-                    borderWidth: 1
+                    label: measure === 'perCapita' ? 'Per Capita ($)' : `${def.label} ($)`,
+                    data: top.map(s => s.value),
+                    backgroundColor: '#5a9fb8'
                 }]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
-                indexAxis: 'y',
                 plugins: {
-                    legend: {
-                        display: false
-                    },
+                    legend: { display: false },
                     tooltip: {
                         callbacks: {
                             label: function(context) {
-                                return '$' + context.parsed.x + ' per capita';
+                                return fmtDollars(context.parsed.y) + ' per ' + def.unit;
                             }
                         }
                     }
                 },
                 scales: {
-                    x: {
+                    y: {
                         beginAtZero: true,
-                        ticks: {
-                            callback: function(value) {
-                                return '$' + value;
-                            }
-                        },
-                        grid: {
-                            color: 'rgba(0, 0, 0, 0.05)'
-                        }
+                        ticks: { color: '#e8dcc4', callback: v => fmtDollars(v) },
+                        grid: { color: 'rgba(58, 53, 48, 0.3)' }
                     },
-                    y: {
-                        grid: {
-                            display: false
-                        }
+                    x: {
+                        ticks: { color: '#e8dcc4' },
+                        grid: { display: false }
                     }
                 }
             }
         });
     }
     
+    if (perCapitaCtx && window.StateAllocations && window.HousingNeed) {
+        window.StateAllocations.ready.then(() => {
+            renderPerCapitaChart(perCapitaMetric ? perCapitaMetric.value : 'perCapita');
+        });
+        
+        if (perCapitaMetric) {
+            perCapitaMetric.addEventListener('change', function() {
+                renderPerCapitaChart(this.value);
+            });
+            
+            // Need-based denominators come from the Census API; enable them once it answers
+            window.HousingNeed.load()
+                .then(need => {
+                    need.getNeedMeasures().forEach(key => {
+                        const option = perCapitaMetric.querySelector(`option[value="${key}"]`);
+                        if (option) option.disabled = false;
+                    });
+                })
+                .catch(error => {
+                    console.warn('Need metrics unavailable:', error);
+                    perCapitaMetric.querySelectorAll('option[disabled]').forEach(option => { option.textContent += ' (ACS unavailable)'; });
+                });
+        }
+    }
+    
     // Regional Pie Chart
     const regionalPieCtx = document.getElementById('regional-pie-chart');
     if (regionalPieCtx) {
@@ -217,57 +459,117 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     // State selector functionality
-    const stateSelect = document.getElementById('state-select');
-    const metroSelect = document.getElementById('metro-select');
-    const stateProfile = document.getElementById('state-profile');
+    // Metro (CBSA) lists and state/metro profiles for every state come from js/metro-profiles.js
+    const metroProfile = document.getElementById('metro-profile');
+    const profiles = window.MetroProfiles;
     
-    const metrosByState = {
-        'CA': ['Los Angeles-Long Beach', 'San Francisco-Oakland', 'San Diego', 'Sacramento'],
-        'CO': ['Denver-Aurora-Lakewood', 'Colorado Springs', 'Fort Collins', 'Boulder', 'Pueblo'],
-        'NY': ['New York-Newark-Jersey City', 'Buffalo-Niagara Falls', 'Rochester'],
-        'TX': ['Dallas-Fort Worth', 'Houston-The Woodlands', 'Austin', 'San Antonio'],
-        'FL': ['Miami-Fort Lauderdale', 'Tampa-St. Petersburg', 'Orlando'],
-        'IL': ['Chicago-Naperville-Elgin', 'Springfield', 'Peoria']
-    };
+    const fmtPct = v => (v === null || v === undefined ? '—' : (v * 100).toFixed(1) + '%');
+    const fmtInt = v => (v === null || v === undefined ? '—' : Math.round(v).toLocaleString());
     
-    const stateProfiles = {
-        'CA': { allocation: '$1.84B', perCapita: '$47', projects: 312, units: '42,680' },
-        'CO': { allocation: '$287M', perCapita: '$49', projects: 78, units: '8,940' },
-        'NY': { allocation: '$1.46B', perCapita: '$75', projects: 268, units: '38,120' },
-        'TX': { allocation: '$1.29B', perCapita: '$44', projects: 294, units: '45,860' },
-        'FL': { allocation: '$987M', perCapita: '$46', projects: 221, units: '32,450' },
-        'IL': { allocation: '$845M', perCapita: '$67', projects: 186, units: '26,340' }
-    };
+    // The regional page's filter uses 'all' for no state
+    function selectedProfileState() {
+        const state = stateSelect ? stateSelect.value : '';
+        return state && state !== 'all' ? state : null;
+    }
     
-    if (stateSelect) {
+    function renderStateProfile(state) {
+        const profile = profiles.getStateProfile(state);
+        if (!stateProfile) return;
+        if (!profile) {
+            stateProfile.style.display = 'none';
+            return;
+        }
+        
+        document.getElementById('profile-title').textContent = profile.name + ' Profile';
+        document.getElementById('state-allocation').textContent = fmtMoney(profile.allocation);
+        document.getElementById('state-per-capita').textContent = '$' + profile.perCapita.toFixed(2);
+        document.getElementById('state-projects').textContent = fmtInt(profile.projects);
+        document.getElementById('state-units').textContent = fmtInt(profile.units);
+        stateProfile.style.display = 'block';
+    }
+    
+    function renderMetroProfile(code, state) {
+        if (!metroProfile) return;
+        const m = code && state ? profiles.getMetroProfile(code, state) : null;
+        if (!m) {
+            metroProfile.innerHTML = '';
+            return;
+        }
+        
+        const portion = m.states.length > 1 ? ` (${state} portion)` : '';
+        const card = (value, label) => `
+            <div class="stat-card">
+                <div class="stat-value">${value}</div>
+                <div class="stat-label">${label}</div>
+            </div>`;
+        
+        metroProfile.innerHTML = `
+            <h3 class="section-title">${m.name} <span style="font-size: 0.8rem; opacity: 0.7;">${m.type}politan · CBSA ${m.code}</span></h3>
+            <div class="stats-grid">
+                ${card(fmtPct(m.allocationShare), `Share of ${state} ${m.year} allocation${portion}`)}
+                ${card(m.allocationEstimate !== null ? fmtMoney(m.allocationEstimate) : '—', 'Population-proportional credits')}
+                ${card(fmtInt(m.projects), `LIHTC projects (HUD)${portion}`)}
+                ${card(fmtInt(m.units), `LIHTC units (HUD)${m.unitShare !== null ? ` · ${fmtPct(m.unitShare)} of state` : ''}`)}
+                ${card(fmtPct(m.costBurdenRate), 'Renters cost-burdened (30%+)')}
+                ${card(fmtPct(m.rentalVacancyRate), 'Rental vacancy rate')}
+            </div>
+            <p class="section-subtitle">
+                Population ${fmtInt(m.inStatePopulation ?? m.population)}${portion}${m.counties.length ? ` · ${m.counties.join(', ')}` : ''}.
+                States do not publish allocations by metro; the share applies the metro's part of the state population to the state ceiling.
+                ACS ${m.acsVintage || ''} 5-year (B25070, B25004).
+            </p>`;
+    }
+    
+    if (stateSelect && profiles) {
         stateSelect.addEventListener('change', function() {
-            const state = this.value;
+            const state = selectedProfileState();
+            renderMetroProfile(null);
             
-            if (state && metrosByState[state]) {
-                metroSelect.innerHTML = '<option value="">All Metro Areas</option>';
-                metrosByState[state].forEach(metro => {
-                    const option = document.createElement('option');
-                    option.value = metro;
-                    option.textContent = metro;
-                    metroSelect.appendChild(option);
-                });
-                metroSelect.disabled = false;
-                
-                // Show state profile
-                if (stateProfiles[state]) {
-                    const profile = stateProfiles[state];
-                    document.getElementById('profile-title').textContent = this.options[this.selectedIndex].text + ' Profile';
-                    document.getElementById('state-allocation').textContent = profile.allocation;
-                    document.getElementById('state-per-capita').textContent = profile.perCapita;
-                    document.getElementById('state-projects').textContent = profile.projects;
-                    document.getElementById('state-units').textContent = profile.units;
-                    stateProfile.style.display = 'block';
+            if (!state) {
+                if (metroSelect) {
+                    metroSelect.innerHTML = '<option value="">Select State First</option>';
+                    metroSelect.disabled = true;
                 }
-            } else {
-                metroSelect.innerHTML = '<option value="">Select State First</option>';
+                if (stateProfile) stateProfile.style.display = 'none';
+                return;
+            }
+            
+            renderStateProfile(state);
+            if (metroSelect) {
+                metroSelect.innerHTML = '<option value="">Loading metro areas…</option>';
                 metroSelect.disabled = true;
-                stateProfile.style.display = 'none';
             }
+            
+            profiles.load()
+                .then(() => {
+                    if (!metroSelect || selectedProfileState() !== state) return;
+                    const metros = profiles.getMetros(state);
+                    metroSelect.innerHTML = `<option value="">All Metro Areas (${metros.length})</option>`;
+                    metros.forEach(metro => {
+                        const option = document.createElement('option');
+                        option.value = metro.code;
+                        option.textContent = `${metro.name} (${metro.type})`;
+                        metroSelect.appendChild(option);
+                    });
+                    metroSelect.disabled = !metros.length;
+                })
+                .catch(error => {
+                    console.warn('Metro areas unavailable:', error);
+                    if (metroSelect) metroSelect.innerHTML = '<option value="">Metro areas unavailable</option>';
+                });
+            
+            // HUD project counts fill in when the project file arrives
+            profiles.loadProjects().then(() => {
+                if (selectedProfileState() !== state) return;
+                renderStateProfile(state);
+                if (metroSelect) renderMetroProfile(metroSelect.value, state);
+            });
         });
+        
+        if (metroSelect) {
+            metroSelect.addEventListener('change', function() {
+                renderMetroProfile(this.value, selectedProfileState());
+            });
+        }
     }
 });
@@ -0,0 +1,300 @@
+// Site Eligibility Service - QCT / DDA basis-boost lookup
+// Point-in-polygon tests against the 2026 QCT and DDA layers loaded by co-lihtc-map.js
+// (HUD ArcGIS or its offline fallbacks), plus a local geocoder table (data/co-geocoder.json).
+// Layers registered as approximate (the map's hand-drawn embedded outlines) are drawn but
+// never decide membership: lookups against them report qct / dda as null (unknown). The layers
+// cover one state at a time, so sites outside that state are unknown as well.
+
+class SiteEligibilityService {
+    constructor() {
+        this.geocoderUrl = 'data/co-geocoder.json';
+        this.layers = {
+            qct: null,
+            dda: null
+        };
+        this.sources = {
+            qct: null,
+            dda: null
+        };
+        this.approximate = {
+            qct: false,
+            dda: false
+        };
+        this.state = null; // { abbr, name, bbox: [south, west, north, east] } the layers belong to
+        this.loader = null;
+        this.geocoderEntries = [];
+        this.geocoderLoaded = false;
+        this.geocoderPromise = null;
+    }
+
+    // Register a FeatureCollection for 'qct' or 'dda'; bounding boxes are precomputed.
+    // options.approximate marks outlines that only illustrate the area (see lookup()).
+    setLayer(kind, geojson, source, options = {}) {
+        if (!this.layers.hasOwnProperty(kind)) throw new Error(`Unknown eligibility layer: ${kind}`);
+
+        const features = (geojson && geojson.features) || [];
+        this.layers[kind] = features
+            .filter(f => f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon'))
+            .map(f => {
+                const polygons = f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates;
+                return { properties: f.properties || {}, polygons, bbox: this.computeBBox(polygons) };
+            });
+        this.sources[kind] = source || null;
+        this.approximate[kind] = !!options.approximate;
+    }
+
+    // Forget the loaded layers (the map switched states); the next lookup asks the loader again.
+    // state is the state the next layers will cover.
+    clearLayers(state = null) {
+        this.state = state;
+        Object.keys(this.layers).forEach(kind => {
+            this.layers[kind] = null;
+            this.sources[kind] = null;
+            this.approximate[kind] = false;
+        });
+    }
+
+    // Function that loads any missing layers (the map registers its ensureQCT/ensureDDA)
+    registerLoader(fn) {
+        this.loader = fn;
+    }
+
+    async ensureLayers() {
+        if ((!this.layers.qct || !this.layers.dda) && typeof this.loader === 'function') {
+            await this.loader();
+        }
+        return !!(this.layers.qct && this.layers.dda);
+    }
+
+    computeBBox(polygons) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const polygon of polygons) {
+            for (const [x, y] of polygon[0] || []) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+        return [minX, minY, maxX, maxY];
+    }
+
+    // Ray casting on a single linear ring of [lng, lat] positions
+    pointInRing(x, y, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const xi = ring[i][0], yi = ring[i][1];
+            const xj = ring[j][0], yj = ring[j][1];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+
+    // Inside the outer ring and outside every hole
+    pointInPolygon(x, y, polygon) {
+        if (!polygon.length || !this.pointInRing(x, y, polygon[0])) return false;
+        for (let h = 1; h < polygon.length; h++) {
+            if (this.pointInRing(x, y, polygon[h])) return false;
+        }
+        return true;
+    }
+
+    findContaining(kind, lat, lng) {
+        const features = this.layers[kind];
+        if (!features) return null;
+
+        for (const f of features) {
+            const [minX, minY, maxX, maxY] = f.bbox;
+            if (lng < minX || lng > maxX || lat < minY || lat > maxY) continue;
+            if (f.polygons.some(polygon => this.pointInPolygon(lng, lat, polygon))) return f.properties;
+        }
+        return null;
+    }
+
+    // A loaded layer that may decide membership
+    isAuthoritative(kind) {
+        return !!this.layers[kind] && !this.approximate[kind];
+    }
+
+    // True when the point (and options.state, an address's state, if given) falls in the layers' state
+    inLoadedState(lat, lng, options = {}) {
+        if (!this.state) return true;
+        if (options.state && options.state !== this.state.abbr) return false;
+        const [south, west, north, east] = this.state.bbox;
+        return lat >= south && lat <= north && lng >= west && lng <= east;
+    }
+
+    // Synchronous lookup against whatever layers are loaded.
+    // qct / dda are null (unknown) when the corresponding layer is not loaded or only approximate,
+    // or the site is outside the loaded state (outsideState names that state);
+    // boostEligible is null when neither is true and at least one is unknown.
+    lookup(lat, lng, options = {}) {
+        lat = Number(lat);
+        lng = Number(lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+        const inside = this.inLoadedState(lat, lng, options);
+        const usable = kind => inside && this.isAuthoritative(kind);
+        const tract = usable('qct') ? this.findContaining('qct', lat, lng) : null;
+        const area = usable('dda') ? this.findContaining('dda', lat, lng) : null;
+        const qct = usable('qct') ? !!tract : null;
+        const dda = usable('dda') ? !!area : null;
+
+        return {
+            lat,
+            lng,
+            qct,
+            dda,
+            tractGeoid: tract ? (tract.GEOID || tract.GEOID20 || tract.GEOID10 || null) : null,
+            qctName: tract ? (tract.NAME || tract.NAMELSAD || null) : null,
+            ddaName: area ? (area.NAME || area.DDA_NAME || area.ZCTA5 || null) : null,
+            ddaType: area ? (area.DDATYPE || null) : null,
+            boostEligible: qct || dda ? true : (qct === null || dda === null ? null : false),
+            sources: { ...this.sources },
+            approximate: { ...this.approximate },
+            outsideState: inside ? null : this.state.abbr
+        };
+    }
+
+    // Where a lookup's QCT or DDA answer came from, for popups and the deal calculator
+    describeSource(result, kind) {
+        if (result && result.outsideState) return `site outside ${result.outsideState}, the loaded state`;
+        const source = result && result.sources ? result.sources[kind] : null;
+        if (!source) return 'not loaded';
+        if (result.approximate && result.approximate[kind]) return 'approximate outline only, not used';
+        return /^https?:/.test(source) ? 'HUD 2026 layer (ArcGIS)' : source;
+    }
+
+    // "QCT: HUD 2026 layer (ArcGIS) · DDA: approximate outline only, not used"
+    sourceSummary(result) {
+        if (result && result.outsideState) return `Site outside ${result.outsideState}, the state whose QCT/DDA layers are loaded: unknown`;
+        return ['qct', 'dda'].map(kind => `${kind.toUpperCase()}: ${this.describeSource(result, kind)}`).join(' · ');
+    }
+
+    async lookupPoint(lat, lng, options = {}) {
+        await this.ensureLayers();
+        return this.lookup(lat, lng, options);
+    }
+
+    /* ---------- Local geocoder ---------- */
+
+    normalizeAddress(text) {
+        const abbreviations = {
+            STREET: 'ST', AVENUE: 'AVE', BOULEVARD: 'BLVD', DRIVE: 'DR', ROAD: 'RD', LANE: 'LN',
+            COURT: 'CT', PLACE: 'PL', PARKWAY: 'PKWY', HIGHWAY: 'HWY', CIRCLE: 'CIR',
+            NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W'
+        };
+        return String(text || '')
+            .toUpperCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[.,#]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(word => abbreviations[word] || word)
+            .join(' ');
+    }
+
+    async loadGeocoder(url = this.geocoderUrl) {
+        if (this.geocoderLoaded) return this.geocoderEntries;
+        if (!this.geocoderPromise) {
+            this.geocoderPromise = fetch(url)
+                .then(res => {
+                    if (!res.ok) throw new Error(`Geocoder table unavailable (${res.status})`);
+                    return res.json();
+                })
+                .then(doc => {
+                    this.addGeocoderEntries(doc.entries || []);
+                    this.geocoderLoaded = true;
+                    return this.geocoderEntries;
+                })
+                .catch(error => {
+                    console.warn('Local geocoder table not loaded:', error.message);
+                    this.geocoderPromise = null;
+                    return this.geocoderEntries;
+                });
+        }
+        return this.geocoderPromise;
+    }
+
+    // "street, city, ST 80202" → { street, city, state }; state (a two-letter code, as its own part
+    // or after the city) is null when the address does not give one
+    parseAddress(text) {
+        const parts = String(text || '').split(',').map(p => this.normalizeAddress(p)).filter(Boolean);
+        let state = null;
+        if (parts.length > 1 && /^\d{5}(-\d{4})?$/.test(parts[parts.length - 1])) parts.pop();
+        if (parts.length > 1) {
+            const words = parts[parts.length - 1].split(' ');
+            if (/^\d{5}(-\d{4})?$/.test(words[words.length - 1])) words.pop();
+            if (words.length && SiteEligibilityService.STATE_CODES.includes(words[words.length - 1])) {
+                state = words.pop();
+                if (words.length) parts[parts.length - 1] = words.join(' ');
+                else parts.pop();
+            }
+        }
+        return { street: parts[0] || '', city: parts[1] || '', state };
+    }
+
+    // Accepts geocoder rows or normalized HUD records ({ address, city, state, lat, lng })
+    addGeocoderEntries(entries) {
+        const rows = entries
+            .filter(e => Number.isFinite(Number(e.lat)) && Number.isFinite(Number(e.lng)))
+            .map(e => ({
+                key: this.normalizeAddress(e.address),
+                city: this.normalizeAddress(e.city),
+                state: e.state ? String(e.state).trim().toUpperCase() : null,
+                lat: Number(e.lat),
+                lng: Number(e.lng),
+                precision: e.precision || (e.address ? 'address' : 'place'),
+                label: e.label || e.project || [e.address, e.city].filter(Boolean).join(', ')
+            }));
+        this.geocoderEntries = this.geocoderEntries.concat(rows);
+    }
+
+    // Match "street, city[, ST]" against the table: exact street (+ city when given), then a city
+    // centroid, within the address's state when it names one. Without a state, entries in the map's
+    // loaded state come first. Returns { lat, lng, precision, matched, state } or null.
+    async geocode(address) {
+        const entries = await this.loadGeocoder();
+        const { street, city, state } = this.parseAddress(address);
+        if (!street) return null;
+
+        const loaded = this.state ? this.state.abbr : null;
+        const candidates = entries
+            .filter(e => !state || !e.state || e.state === state)
+            .sort((a, b) => (b.state === loaded) - (a.state === loaded));
+        const found = (e, precision) => ({ lat: e.lat, lng: e.lng, precision, matched: e.label, state: e.state || state });
+
+        const streetMatches = candidates.filter(e => e.precision === 'address' && e.key === street);
+        const exact = streetMatches.find(e => !city || e.city === city) || (city ? null : streetMatches[0]);
+        if (exact) return found(exact, 'address');
+
+        const placeName = city || street;
+        const place = candidates.find(e => e.precision === 'place' && e.city === placeName);
+        if (place) return found(place, 'place');
+
+        return null;
+    }
+
+    async lookupAddress(address) {
+        const location = await this.geocode(address);
+        if (!location) return null;
+
+        const result = await this.lookupPoint(location.lat, location.lng, { state: location.state });
+        return result ? { ...result, address, geocode: location } : null;
+    }
+}
+
+SiteEligibilityService.STATE_CODES = [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+    'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+    'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'PR'
+];
+
+// Export
+if (typeof window !== 'undefined') {
+    window.SiteEligibility = new SiteEligibilityService();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SiteEligibilityService };
+}
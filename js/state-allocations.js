@@ -0,0 +1,333 @@
+// Canonical State Allocation Store
+// Single source for state LIHTC allocations on every page: data/state-allocations.json.
+// Schema and unit conventions are documented in the JSON ("fields", "units") and in
+// docs/ALLOCATION-RECONCILIATION.md, which also lists how the retired copies disagreed.
+//
+// Units: `allocation` is the state's annual 9% housing credit ceiling in dollars of credit per
+// year. Ten-year credits are allocation × 10; equity is ten-year credits × price per credit.
+// Total credit authority adds carryforward, returned credits and National Pool awards to the
+// ceiling (IRC §42(h)(3)(C)(i)-(iv)); all four components are annual credits.
+
+class StateAllocationStore {
+    constructor() {
+        // Resolved against this script so pages outside the site root (docs/) load the same file
+        const script = typeof document !== 'undefined' ? document.currentScript : null;
+        this.url = script && script.src
+            ? new URL('../data/state-allocations.json', script.src).href
+            : 'data/state-allocations.json';
+        this.doc = null;
+        this.byYear = new Map();
+        this.current = null;
+        this.loading = null;
+        this.creditYears = 10;
+        this.components = ['carryforward', 'returned', 'nationalPool'];
+
+        this.ready = (typeof window !== 'undefined' && typeof fetch === 'function')
+            ? this.load().catch(error => {
+                console.error('State allocation store failed to load:', error);
+                return this;
+            })
+            : Promise.resolve(this);
+    }
+
+    async load(url = this.url) {
+        if (this.doc) return this;
+        if (!this.loading) {
+            this.loading = fetch(url)
+                .then(res => {
+                    if (!res.ok) throw new Error(`State allocations unavailable (${res.status})`);
+                    return res.json();
+                })
+                .then(doc => this.ingest(doc))
+                .finally(() => { this.loading = null; });
+        }
+        return this.loading;
+    }
+
+    ingest(doc) {
+        if (!doc || !Array.isArray(doc.years)) throw new Error('State allocations: missing years[]');
+        if (doc.schemaVersion !== 3) console.warn(`State allocations schema v${doc.schemaVersion}; expected v3`);
+
+        this.doc = doc;
+        this.byYear = new Map(doc.years.map(y => [Number(y.year), y]));
+        this.current = this.getYear(this.getLatestYear());
+        return this;
+    }
+
+    getYears() {
+        return Array.from(this.byYear.keys()).sort((a, b) => a - b);
+    }
+
+    getLatestYear() {
+        const years = this.getYears();
+        return years[years.length - 1] || null;
+    }
+
+    // Year parameters without the per-state table
+    getParameters(year = this.getLatestYear()) {
+        const y = this.byYear.get(Number(year));
+        if (!y) return null;
+        const { states, ...params } = y;
+        return params;
+    }
+
+    // Dataset for one year: { year, source, units, nationalPool, states: { AB: { abbr, name, region,
+    // allocation, population, perCapita, status, source, carryforward, returned, nationalPool,
+    // totalAuthority } } } plus getStats / getState / getStateColor helpers
+    getYear(year = this.getLatestYear()) {
+        const y = this.byYear.get(Number(year));
+        if (!y) return null;
+
+        const states = {};
+        for (const [abbr, row] of Object.entries(y.states)) {
+            const meta = this.doc.states[abbr] || {};
+            states[abbr] = {
+                abbr,
+                name: meta.name || abbr,
+                region: meta.region || null,
+                allocation: row.ceiling,
+                population: row.population,
+                perCapita: row.population ? Number((row.ceiling / row.population).toFixed(2)) : null,
+                status: row.status,
+                source: row.status === 'published' ? 'Novogradac'
+                    : `Statutory (${y.authority})${row.status === 'interpolated' ? ', interpolated population' : ''}`,
+                ...this.getComponents(row)
+            };
+        }
+
+        const store = this;
+        return {
+            year: y.year,
+            perCapitaRate: y.perCapita,
+            smallStateMinimum: y.smallStateMinimum,
+            populationBase: y.populationBase,
+            units: this.doc.units,
+            nationalPool: y.nationalPool || null,
+            source: {
+                name: y.authority,
+                url: this.doc.source.url,
+                lastUpdated: this.doc.source.lastUpdated,
+                note: this.doc.populationMethod
+            },
+            states,
+            getStats() { return store.getStats(this); },
+            getState(abbr) { return this.states[String(abbr).toUpperCase()] || null; },
+            getStateColor(allocation) { return store.getStateColor(allocation); }
+        };
+    }
+
+    // Carryforward, returned and National Pool amounts for a stored state-year row (0 when not
+    // recorded) and the resulting total credit authority
+    getComponents(row) {
+        const out = {};
+        for (const key of this.components) out[key] = Number(row[key]) || 0;
+        out.totalAuthority = (Number(row.ceiling) || 0) + this.components.reduce((sum, key) => sum + out[key], 0);
+        return out;
+    }
+
+    // Record components for one state and year; only the keys given are changed
+    setComponents(year, abbr, values) {
+        const y = this.byYear.get(Number(year));
+        const row = y && y.states[String(abbr).toUpperCase()];
+        if (!row) throw new Error(`No allocation row for ${abbr} in ${year}`);
+
+        for (const key of this.components) {
+            if (values[key] === undefined || values[key] === null || values[key] === '') continue;
+            const amount = Number(String(values[key]).replace(/[$,\s]/g, ''));
+            if (!Number.isFinite(amount) || amount < 0) throw new Error(`Invalid ${key} for ${abbr} ${year}: ${values[key]}`);
+            row[key] = amount;
+        }
+        if (Number(year) === this.getLatestYear()) this.current = this.getYear(year);
+        return row;
+    }
+
+    // CSV with columns year, state (abbreviation) and any of carryforward, returned, nationalPool
+    // (national_pool also accepted). Returns { applied, skipped: [{ line, reason }] }.
+    ingestComponentsCSV(text) {
+        const lines = String(text || '').split(/\r?\n/).filter(l => l.trim());
+        if (!lines.length) return { applied: 0, skipped: [] };
+
+        const header = this.splitCSVLine(lines[0]).map(h => h.toLowerCase().replace(/_/g, ''));
+        const col = (name) => header.indexOf(name.toLowerCase());
+        const yearCol = col('year');
+        const stateCol = col('state') >= 0 ? col('state') : col('abbr');
+        if (yearCol < 0 || stateCol < 0) throw new Error('Components CSV needs year and state columns');
+
+        let applied = 0;
+        const skipped = [];
+        lines.slice(1).forEach((line, i) => {
+            const cells = this.splitCSVLine(line);
+            const values = {};
+            this.components.forEach(key => {
+                const idx = col(key);
+                if (idx >= 0) values[key] = cells[idx];
+            });
+            try {
+                this.setComponents(cells[yearCol], cells[stateCol], values);
+                applied++;
+            } catch (error) {
+                skipped.push({ line: i + 2, reason: error.message });
+            }
+        });
+        return { applied, skipped };
+    }
+
+    // One CSV line into trimmed cells, honoring double-quoted fields ("1,200,000")
+    splitCSVLine(line) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"') {
+                if (quoted && line[i + 1] === '"') { cell += '"'; i++; }
+                else quoted = !quoted;
+            } else if (ch === ',' && !quoted) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    getState(abbr, year = this.getLatestYear()) {
+        const dataset = this.getYear(year);
+        return dataset ? dataset.getState(abbr) : null;
+    }
+
+    getStats(dataset = this.current) {
+        const allStates = Object.values((dataset && dataset.states) || {});
+        if (!allStates.length) return null;
+
+        const published = allStates.filter(s => s.status === 'published');
+        const totalAllocation = allStates.reduce((sum, s) => sum + s.allocation, 0);
+        const totalPopulation = allStates.reduce((sum, s) => sum + s.population, 0);
+        const totalAuthority = allStates.reduce((sum, s) => sum + (s.totalAuthority || s.allocation), 0);
+        const max = (key) => allStates.reduce((a, s) => (s[key] > a[key] ? s : a));
+        const min = (key) => allStates.reduce((a, s) => (s[key] < a[key] ? s : a));
+
+        return {
+            totalStates: allStates.length,
+            confirmedStates: published.length,
+            estimatedStates: allStates.length - published.length,
+            totalAllocation,
+            totalPopulation,
+            totalAuthority,
+            avgPerCapita: (totalAllocation / totalPopulation).toFixed(2),
+            largestAllocation: max('allocation'),
+            smallestAllocation: min('allocation'),
+            highestPerCapita: max('perCapita'),
+            lowestPerCapita: min('perCapita')
+        };
+    }
+
+    getStateColor(allocation) {
+        if (allocation >= 100000000) return '#8B4513';
+        if (allocation >= 50000000) return '#A0522D';
+        if (allocation >= 25000000) return '#BC8F8F';
+        if (allocation >= 10000000) return '#D4A574';
+        return '#E8DCC4';
+    }
+
+    // Unit conversions (see this.doc.units)
+    toTenYearCredits(annual) {
+        return (Number(annual) || 0) * this.creditYears;
+    }
+
+    toEquity(annual, price) {
+        return this.toTenYearCredits(annual) * (Number(price) || 0);
+    }
+
+    // { AB: { previous, change, pct } } against the prior year
+    getYoY(year) {
+        const current = this.byYear.get(Number(year));
+        const prior = this.byYear.get(Number(year) - 1);
+        if (!current || !prior) return {};
+
+        const out = {};
+        for (const [abbr, row] of Object.entries(current.states)) {
+            const before = prior.states[abbr];
+            if (!before) continue;
+            const change = row.ceiling - before.ceiling;
+            out[abbr] = {
+                previous: before.ceiling,
+                change,
+                pct: before.ceiling ? (change / before.ceiling) * 100 : null
+            };
+        }
+        return out;
+    }
+
+    // [{ year, ceiling, totalAuthority, population, perCapita, status }] for one state, or the
+    // national total for 'all' (status 'interpolated' when any state is, else null)
+    getStateSeries(abbr) {
+        return this.getYears().map(year => {
+            const y = this.byYear.get(year);
+            const rows = abbr === 'all' ? Object.values(y.states) : [y.states[abbr]].filter(Boolean);
+            if (!rows.length) return null;
+
+            const ceiling = rows.reduce((sum, r) => sum + r.ceiling, 0);
+            const population = rows.reduce((sum, r) => sum + r.population, 0);
+            return {
+                year,
+                ceiling,
+                totalAuthority: rows.reduce((sum, r) => sum + this.getComponents(r).totalAuthority, 0),
+                population,
+                perCapita: population ? ceiling / population : null,
+                status: abbr === 'all' ? (rows.some(r => r.status === 'interpolated') ? 'interpolated' : null) : rows[0].status
+            };
+        }).filter(Boolean);
+    }
+
+    // Field-by-field comparison of state datasets.
+    // sources: { label: { AB: { name, allocation, population, status, region, ... } } }
+    // Returns [{ abbr, field, values: { label: value } }] for every field where the sources disagree.
+    // A state missing from some sources is reported once with field 'presence'; null or undefined
+    // fields are treated as not carried by that source. Numbers within `tolerance` relative
+    // difference are treated as equal. scripts/reconcile-allocations.js uses this to regenerate
+    // the Conflicts section of docs/ALLOCATION-RECONCILIATION.md.
+    reconcile(sources, fields = ['name', 'region', 'population', 'allocation', 'perCapita', 'status'], tolerance = 0) {
+        const labels = Object.keys(sources);
+        const abbrs = new Set(labels.flatMap(l => Object.keys(sources[l] || {})));
+        const norm = (v) => (typeof v === 'string' ? v.trim().toLowerCase() : v);
+        const conflicts = [];
+
+        for (const abbr of Array.from(abbrs).sort()) {
+            const holders = labels.filter(l => sources[l] && sources[l][abbr]);
+            if (holders.length < labels.length) {
+                conflicts.push({ abbr, field: 'presence', values: Object.fromEntries(labels.map(l => [l, holders.includes(l)])) });
+            }
+
+            for (const field of fields) {
+                const values = {};
+                holders.forEach(l => {
+                    const v = sources[l][abbr][field];
+                    if (v !== undefined && v !== null) values[l] = v;
+                });
+
+                const present = Object.values(values);
+                if (present.length < 2) continue;
+
+                const numeric = present.every(v => typeof v === 'number');
+                const agree = numeric
+                    ? present.every(v => Math.abs(v - present[0]) <= tolerance * Math.max(Math.abs(v), Math.abs(present[0])))
+                    : present.every(v => norm(v) === norm(present[0]));
+
+                if (!agree) conflicts.push({ abbr, field, values });
+            }
+        }
+        return conflicts;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.StateAllocations = new StateAllocationStore();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StateAllocationStore };
+}
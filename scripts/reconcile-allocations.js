@@ -0,0 +1,148 @@
+// Regenerates the "Conflicts" section of docs/ALLOCATION-RECONCILIATION.md with
+// StateAllocationStore.reconcile(): every copy of a state allocation table is compared
+// field by field against one year of data/state-allocations.json.
+//
+//   node scripts/reconcile-allocations.js                      # the retired copies, from git history
+//   node scripts/reconcile-allocations.js other.json=path/to/other.json --year 2026
+//   node scripts/reconcile-allocations.js --check              # exit 1 if the report is out of date
+//
+// A copy is a .json or .js file (a `rev:path` git object also works). Its state table is the
+// object keyed by state abbreviation, found at the top level, under `states`, or as any export
+// of a .js file; `credits9pct` / `ceiling` are read as `allocation` and `dataStatus` as `status`.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { execFileSync } = require('child_process');
+const { StateAllocationStore } = require('../js/state-allocations.js');
+
+const root = path.resolve(__dirname, '..');
+const reportPath = path.join(root, 'docs/ALLOCATION-RECONCILIATION.md');
+const RETIRED = ['js/state-allocations-2026.js', 'js/state-allocations-2026-actual.js', 'data/allocations.json'];
+
+function git(...args) {
+    return execFileSync('git', args, { cwd: root, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+}
+
+// The retired copies as they were in the commit before they were removed
+function retiredSources() {
+    const removedIn = git('log', '--diff-filter=D', '--format=%H', '-1', '--', RETIRED[0]).trim();
+    if (!removedIn) throw new Error(`${RETIRED[0]} is not in git history; pass copies as label=path`);
+    return RETIRED.map(file => [path.basename(file), `${removedIn}^:${file}`]);
+}
+
+function readText(spec) {
+    return fs.existsSync(path.resolve(root, spec)) ? fs.readFileSync(path.resolve(root, spec), 'utf8') : git('show', spec);
+}
+
+const isStateTable = (obj) => obj && typeof obj === 'object' && ['CA', 'CO', 'TX'].some(abbr => obj[abbr] && typeof obj[abbr] === 'object');
+
+function stateTable(value) {
+    if (isStateTable(value)) return value;
+    if (value && isStateTable(value.states)) return value.states;
+    if (value && typeof value === 'object') {
+        for (const v of Object.values(value)) {
+            const found = isStateTable(v) ? v : (v && isStateTable(v.states) ? v.states : null);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+function loadCopy(spec) {
+    const text = readText(spec);
+    let value;
+    if (/\.json$/i.test(spec)) {
+        value = JSON.parse(text);
+    } else {
+        const sandbox = { module: { exports: {} }, window: {}, console };
+        sandbox.exports = sandbox.module.exports;
+        vm.runInNewContext(text, sandbox, { filename: spec });
+        value = sandbox.module.exports;
+    }
+
+    const table = stateTable(value);
+    if (!table) throw new Error(`No state table found in ${spec}`);
+
+    const capitalize = (s) => (typeof s === 'string' && s ? s.charAt(0).toUpperCase() + s.slice(1) : s);
+    return Object.fromEntries(Object.entries(table).map(([abbr, s]) => [abbr, {
+        name: s.name,
+        region: capitalize(s.region) || null,
+        population: s.population,
+        allocation: s.allocation !== undefined ? s.allocation : (s.credits9pct !== undefined ? s.credits9pct : s.ceiling),
+        perCapita: s.perCapita,
+        status: s.status || s.dataStatus
+    }]));
+}
+
+function conflictsSection(conflicts, labels, year) {
+    const fmt = (field, v) => {
+        if (v === undefined) return '—';
+        if (field === 'presence') return v ? 'present' : '**missing**';
+        if (typeof v === 'number') return field === 'perCapita' ? v.toFixed(2) : v.toLocaleString('en-US');
+        return v;
+    };
+    const byField = {};
+    conflicts.forEach(c => { byField[c.field] = (byField[c.field] || 0) + 1; });
+
+    return `## Conflicts
+
+This section is generated: \`node scripts/reconcile-allocations.js\` reads the retired copies from git history (the commit before they were removed), runs \`StateAllocations.reconcile()\` against the latest year of \`data/state-allocations.json\` and rewrites everything from this heading down. \`--check\` exits non-zero when the section is out of date.
+
+${conflicts.length} conflicting fields across ${new Set(conflicts.map(c => c.abbr)).size} states against ${year} (exact comparison; \`—\` means the copy does not carry the field or the state). By field: ${Object.entries(byField).map(([f, n]) => `${f} ${n}`).join(', ') || 'none'}.
+
+Status is shown as confirmed/estimated in every column. The canonical \`published\` maps to confirmed and every other status to estimated.
+
+| State | Field | ${labels.join(' | ')} |
+|-------|-------|${labels.map(() => '---').join('|')}|
+${conflicts.map(c => `| ${c.abbr} | ${c.field} | ${labels.map(l => fmt(c.field, c.values[l])).join(' | ')} |`).join('\n')}
+
+Regenerate this section with \`node scripts/reconcile-allocations.js\` (add \`label=path\` arguments to compare another copy).
+`;
+}
+
+function main(argv) {
+    const args = argv.slice(2);
+    const check = args.includes('--check');
+    const yearAt = args.indexOf('--year');
+    const specs = args.filter((a, i) => a.includes('=') && (yearAt < 0 || i !== yearAt + 1)).map(a => a.split(/=(.*)/s).slice(0, 2));
+
+    const store = new StateAllocationStore();
+    store.ingest(JSON.parse(fs.readFileSync(path.join(root, 'data/state-allocations.json'), 'utf8')));
+    const year = yearAt >= 0 ? Number(args[yearAt + 1]) : store.getLatestYear();
+    const dataset = store.getYear(year);
+    if (!dataset) throw new Error(`No ${year} data in data/state-allocations.json`);
+
+    const sources = {};
+    for (const [label, spec] of specs.length ? specs : retiredSources()) sources[label] = loadCopy(spec);
+    sources.canonical = Object.fromEntries(Object.entries(dataset.states).map(([abbr, s]) => [abbr, {
+        name: s.name,
+        region: s.region,
+        population: s.population,
+        allocation: s.allocation,
+        perCapita: s.perCapita,
+        status: s.status === 'published' ? 'confirmed' : 'estimated'
+    }]));
+
+    const section = conflictsSection(store.reconcile(sources), Object.keys(sources), year);
+    const report = fs.readFileSync(reportPath, 'utf8');
+    const at = report.indexOf('## Conflicts');
+    const next = at < 0 ? report.trimEnd() + '\n\n' + section : report.slice(0, at) + section;
+
+    if (check) {
+        if (next !== report) {
+            console.error('docs/ALLOCATION-RECONCILIATION.md is out of date; run node scripts/reconcile-allocations.js');
+            process.exit(1);
+        }
+        console.log('docs/ALLOCATION-RECONCILIATION.md is up to date');
+        return;
+    }
+    fs.writeFileSync(reportPath, next);
+    console.log(`Wrote docs/ALLOCATION-RECONCILIATION.md (${Object.keys(sources).length} sources)`);
+}
+
+if (require.main === module) {
+    main(process.argv);
+}
+
+module.exports = { loadCopy, conflictsSection };